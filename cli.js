@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+const fs = require('fs-extra');
+const path = require('path');
+const DocumentConverter = require('./lib/documentConverter');
+const FileWatcher = require('./lib/fileWatcher');
+const ProfileManager = require('./lib/profileManager');
+
+// 退出码
+const EXIT_OK = 0;
+const EXIT_FILE_FAILED = 1;   // 部分文件转换或删除失败
+const EXIT_USAGE = 2;         // 参数错误
+const EXIT_ERROR = 3;         // 其他错误
+
+const USAGE = `用法: node cli.js <命令> [选项]
+
+命令:
+  sync              增量转换源目录中的所有文件（--dry-run 时只输出计划）
+  convert <file>    转换单个文件
+  plan              列出将要转换、删除的文件，不做任何修改
+  prune             删除没有对应源文件的输出（--dry-run 时只列出）
+  status            显示目录、外部工具、转换清单和队列状态
+
+选项:
+  -s, --source <dir>   源目录，默认 ./data
+  -t, --target <dir>   输出目录，默认 ./data_markdown
+  -p, --profile <name> 使用配置文件中的同步配置（源目录、输出目录、忽略规则和转换选项）
+  -c, --config <file>  同步配置文件，默认 $PROFILES_CONFIG 或 ./profiles.json
+  -o, --output <file>  convert 的输出路径，默认按源目录结构放到输出目录
+  -f, --force          忽略增量检测，全部重新转换；prune 时允许删除全部输出
+  -n, --dry-run        只显示将要执行的操作
+      --prune          sync 之后清理孤立输出
+      --json           以 JSON 输出结果
+  -q, --quiet          不输出转换日志
+  -h, --help           显示帮助
+
+退出码: 0 成功，1 有文件失败，2 参数错误，3 其他错误`;
+
+const COMMANDS = ['sync', 'convert', 'plan', 'prune', 'status'];
+
+const FLAGS = {
+    '-s': 'source', '--source': 'source',
+    '-t': 'target', '--target': 'target',
+    '-o': 'output', '--output': 'output',
+    '-p': 'profile', '--profile': 'profile',
+    '-c': 'config', '--config': 'config'
+};
+const SWITCHES = {
+    '-f': 'force', '--force': 'force',
+    '-n': 'dryRun', '--dry-run': 'dryRun',
+    '--prune': 'prune',
+    '--json': 'json',
+    '-q': 'quiet', '--quiet': 'quiet',
+    '-h': 'help', '--help': 'help'
+};
+
+function parseArgs(argv) {
+    const options = { positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+        if (FLAGS[name]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`${name} 需要一个参数`);
+            }
+            options[FLAGS[name]] = value;
+        } else if (SWITCHES[arg]) {
+            options[SWITCHES[arg]] = true;
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`未知选项: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options;
+}
+
+class UsageError extends Error {}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '?';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printResults(results) {
+    for (const result of results) {
+        if (result.skipped) {
+            console.info(`  跳过  ${result.inputPath}`);
+        } else if (result.success) {
+            console.info(`  转换  ${result.inputPath} -> ${result.outputPath}`);
+        } else {
+            console.info(`  失败  ${result.inputPath}: ${result.error}`);
+        }
+    }
+}
+
+function printPlan(plan) {
+    const sections = [
+        ['new', '新增'],
+        ['changed', '更新'],
+        ['orphaned', '删除'],
+        ['unsupported', '不支持']
+    ];
+
+    for (const [key, label] of sections) {
+        for (const entry of plan[key]) {
+            const reason = entry.reason ? ` (${entry.reason})` : '';
+            console.info(`  ${label}  ${entry.relativePath}  ${formatBytes(entry.size)}${reason}`);
+        }
+    }
+
+    const { summary } = plan;
+    console.info(`新增 ${summary.new}，更新 ${summary.changed}，不变 ${summary.unchanged}，删除 ${summary.orphaned}，不支持 ${summary.unsupported}`);
+    let estimate = summary.estimatedOutputBytes === null ? '未知' : formatBytes(summary.estimatedOutputBytes);
+    if (summary.estimatedOutputBytes !== null && summary.unestimated > 0) {
+        estimate += `（另有 ${summary.unestimated} 个文件无法估计）`;
+    }
+    console.info(`待转换 ${formatBytes(summary.bytesToConvert)}，预计输出 ${estimate}，待删除 ${formatBytes(summary.bytesToDelete)}`);
+}
+
+function printPrune(result) {
+    for (const file of result.deleted) {
+        console.info(`  ${result.dryRun ? '将删除' : '已删除'}  ${file}`);
+    }
+    for (const file of result.protected) {
+        console.info(`  保护  ${file}`);
+    }
+    for (const failure of result.failed) {
+        console.info(`  失败  ${failure.relativePath}: ${failure.error}`);
+    }
+    console.info(`删除 ${result.deleted.length}，保护 ${result.protected.length}，失败 ${result.failed.length}`);
+}
+
+function modifiesFiles(command, options) {
+    return ['sync', 'convert', 'prune'].includes(command) && !options.dryRun;
+}
+
+async function runCommand(command, options, watcher, converter) {
+    switch (command) {
+        case 'sync': {
+            if (options.dryRun) {
+                const plan = await watcher.plan(!!options.force);
+                return { output: plan, print: printPlan, exitCode: EXIT_OK };
+            }
+
+            const results = await watcher.processAllFiles(!!options.force);
+            const output = { results };
+            if (options.prune) {
+                output.prune = await watcher.prune();
+            }
+
+            const failed = results.filter(result => result.success === false).length +
+                (output.prune ? output.prune.failed.length : 0);
+            output.summary = {
+                converted: results.filter(result => result.success && !result.skipped).length,
+                skipped: results.filter(result => result.skipped).length,
+                failed
+            };
+
+            return {
+                output,
+                print: () => {
+                    printResults(results);
+                    if (output.prune) printPrune(output.prune);
+                    const { converted, skipped } = output.summary;
+                    console.info(`转换 ${converted}，跳过 ${skipped}，失败 ${failed}`);
+                },
+                exitCode: failed > 0 ? EXIT_FILE_FAILED : EXIT_OK
+            };
+        }
+
+        case 'convert': {
+            const file = options.positional[0];
+            if (!file) {
+                throw new UsageError('convert 需要指定文件');
+            }
+
+            const inputPath = path.resolve(file);
+            if (!(await fs.pathExists(inputPath))) {
+                throw new UsageError(`文件不存在: ${inputPath}`);
+            }
+            if (!converter.isSupported(inputPath)) {
+                throw new UsageError(`不支持的文件格式: ${path.extname(inputPath)}`);
+            }
+
+            const insideSource = !path.relative(watcher.sourceDir, inputPath).startsWith('..');
+            let result;
+
+            if (options.dryRun) {
+                const outputPath = options.output
+                    ? path.resolve(options.output)
+                    : converter.generateOutputPath(inputPath, insideSource ? watcher.sourceDir : path.dirname(inputPath), watcher.targetDir);
+                result = { dryRun: true, inputPath, outputPath };
+            } else {
+                try {
+                    if (insideSource && !options.output) {
+                        // 源目录内的文件走 FileWatcher，同时更新转换清单
+                        result = await watcher.processFile(inputPath, !!options.force);
+                    } else {
+                        const outputPath = options.output
+                            ? path.resolve(options.output)
+                            : converter.generateOutputPath(inputPath, path.dirname(inputPath), watcher.targetDir);
+                        result = await converter.convertFile(inputPath, outputPath);
+                    }
+                } catch (error) {
+                    result = { success: false, inputPath, error: error.message };
+                }
+            }
+
+            return {
+                output: result,
+                print: () => {
+                    if (result.dryRun) {
+                        console.info(`将转换 ${result.inputPath} -> ${result.outputPath}`);
+                    } else {
+                        printResults([result]);
+                    }
+                },
+                exitCode: result.success === false ? EXIT_FILE_FAILED : EXIT_OK
+            };
+        }
+
+        case 'plan': {
+            const plan = await watcher.plan(!!options.force);
+            return { output: plan, print: printPlan, exitCode: EXIT_OK };
+        }
+
+        case 'prune': {
+            const result = await watcher.prune({ dryRun: !!options.dryRun, force: !!options.force });
+            return {
+                output: result,
+                print: printPrune,
+                exitCode: result.failed.length > 0 ? EXIT_FILE_FAILED : EXIT_OK
+            };
+        }
+
+        case 'status': {
+            await watcher.manifestReady;
+            const queue = watcher.queue.getStatus();
+            const output = {
+                sourceDir: watcher.sourceDir,
+                targetDir: watcher.targetDir,
+                supportedFormats: converter.getSupportedFormats(),
+                tools: converter.getToolStatus(),
+                manifest: {
+                    path: watcher.manifest.manifestPath,
+                    entries: watcher.manifest.size
+                },
+                queue: { depth: queue.depth, counts: queue.counts }
+            };
+
+            return {
+                output,
+                print: () => {
+                    console.info(`源目录: ${output.sourceDir}`);
+                    console.info(`输出目录: ${output.targetDir}`);
+                    console.info(`支持格式: ${output.supportedFormats.join(' ')}`);
+                    console.info(`外部工具: pandoc=${output.tools.pandoc} libreoffice=${output.tools.libreoffice} unstructured=${output.tools.unstructured} tesseract=${output.tools.tesseract} pdftoppm=${output.tools.pdftoppm}`);
+                    console.info(`转换清单: ${output.manifest.entries} 条记录 (${output.manifest.path})`);
+                    console.info(`未完成任务: ${output.queue.depth}`);
+                },
+                exitCode: EXIT_OK
+            };
+        }
+
+        default:
+            throw new UsageError(`未知命令: ${command}`);
+    }
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    if (options.help) {
+        console.info(USAGE);
+        return EXIT_OK;
+    }
+
+    // 结果写到 stdout，转换库的日志改写到 stderr，--quiet 时丢弃
+    const print = console.log;
+    console.info = print;
+    console.log = options.quiet ? () => {} : (...args) => console.error(...args);
+    if (options.quiet) {
+        console.warn = () => {};
+    }
+
+    const command = options.positional.shift();
+    if (!COMMANDS.includes(command)) {
+        console.error(command ? `未知命令: ${command}` : '缺少命令');
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    let converter;
+    let watcher;
+    if (options.profile) {
+        const configPath = path.resolve(options.config || process.env.PROFILES_CONFIG || path.join(__dirname, 'profiles.json'));
+        let config;
+        try {
+            const data = ProfileManager.readConfig(configPath);
+            config = data && data.profiles.find(profile => profile.name === options.profile);
+        } catch (error) {
+            console.error(`读取配置文件失败: ${error.message}`);
+            return EXIT_USAGE;
+        }
+        if (!config) {
+            console.error(`配置不存在: ${options.profile} (${configPath})`);
+            return EXIT_USAGE;
+        }
+        // 命令行指定的目录优先于配置
+        ({ converter, watcher } = ProfileManager.createWatcher({
+            ...config,
+            source: options.source ? path.resolve(options.source) : config.source,
+            target: options.target ? path.resolve(options.target) : config.target
+        }, path.dirname(configPath)));
+    } else {
+        const sourceDir = path.resolve(options.source || path.join(__dirname, 'data'));
+        const targetDir = path.resolve(options.target || path.join(__dirname, 'data_markdown'));
+        converter = new DocumentConverter();
+        watcher = new FileWatcher(sourceDir, targetDir, converter);
+    }
+
+    try {
+        if (command !== 'status' && !(await fs.pathExists(watcher.sourceDir))) {
+            throw new UsageError(`源目录不存在: ${watcher.sourceDir}`);
+        }
+
+        const { output, print: printHuman, exitCode } = await runCommand(command, options, watcher, converter);
+
+        if (options.json) {
+            print(JSON.stringify(output, null, 2));
+        } else {
+            printHuman(output);
+        }
+        return exitCode;
+    } catch (error) {
+        console.error(error.message);
+        if (error instanceof UsageError) {
+            console.error(USAGE);
+            return EXIT_USAGE;
+        }
+        return EXIT_ERROR;
+    } finally {
+        // 会修改文件的命令等待清单和队列状态写盘；只读命令不写任何状态文件
+        if (modifiesFiles(command, options)) {
+            await watcher.queue.stop();
+            await watcher.manifest.saving;
+        }
+    }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
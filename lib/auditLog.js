@@ -0,0 +1,37 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 审计日志：每行一条 JSON，记录谁在什么时候触发了什么操作以及结果
+ */
+class AuditLog {
+    constructor(logPath) {
+        this.logPath = logPath;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * @param {object} entry actor, role, ip, action, target, status 等字段
+     */
+    record(entry) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+        console.log(`[审计] ${line}`);
+
+        if (!this.logPath) {
+            return this.writing;
+        }
+
+        // 串行追加，避免并发写入交错
+        this.writing = this.writing
+            .then(async () => {
+                await fs.ensureDir(path.dirname(this.logPath));
+                await fs.appendFile(this.logPath, line + '\n', 'utf8');
+            })
+            .catch(error => {
+                console.error('写入审计日志失败:', error.message);
+            });
+        return this.writing;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * 转换清单：每个源根目录一份，以相对路径（/ 分隔）为键，记录
+ * sourceHash、outputHash、engine、encoding（文本类格式识别出的编码）、engineVersion、optionsFingerprint、convertedAt。
+ * 写入先落到临时文件再 rename，进程崩溃时不会留下半截文件。
+ */
+class ConversionManifest {
+    constructor(manifestPath, sourceDir) {
+        this.manifestPath = manifestPath;
+        this.sourceDir = sourceDir;
+        this.entries = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    toRelative(filePath) {
+        return path.relative(this.sourceDir, filePath).split(path.sep).join('/');
+    }
+
+    toAbsolute(relativePath) {
+        return path.join(this.sourceDir, ...relativePath.split('/'));
+    }
+
+    /**
+     * 从磁盘加载清单；不存在时尝试导入旧版 .filehashes（绝对路径 -> MD5）
+     * @param {string} legacyPath 旧版哈希文件路径
+     */
+    async load(legacyPath) {
+        try {
+            if (await fs.pathExists(this.manifestPath)) {
+                const data = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+                // 记录以相对源目录的路径为键，属于其他源目录的清单（如切换了源目录）不能使用
+                if (data.sourceDir && path.resolve(data.sourceDir) !== path.resolve(this.sourceDir)) {
+                    console.log(`转换清单属于其他源目录 ${data.sourceDir}，使用空的清单`);
+                    return;
+                }
+                this.entries = new Map(Object.entries(data.files || {}));
+                console.log(`已加载 ${this.entries.size} 条转换清单记录`);
+                return;
+            }
+
+            if (legacyPath && await fs.pathExists(legacyPath)) {
+                const hashes = JSON.parse(await fs.readFile(legacyPath, 'utf8'));
+                for (const [filePath, sourceHash] of Object.entries(hashes)) {
+                    const relativePath = this.toRelative(filePath);
+                    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) continue;
+                    // 旧记录没有引擎和选项信息，不因此触发重新转换
+                    this.entries.set(relativePath, { sourceHash, engineVersion: null, optionsFingerprint: null });
+                }
+                console.log(`已从旧版哈希文件导入 ${this.entries.size} 条记录`);
+                return;
+            }
+
+            console.log('未找到转换清单，使用空的清单');
+        } catch (error) {
+            console.warn('加载转换清单失败，使用空的清单:', error.message);
+            this.entries = new Map();
+        }
+    }
+
+    get(filePath) {
+        return this.entries.get(this.toRelative(filePath));
+    }
+
+    set(filePath, entry) {
+        this.entries.set(this.toRelative(filePath), entry);
+    }
+
+    delete(filePath) {
+        return this.entries.delete(this.toRelative(filePath));
+    }
+
+    // 返回 [绝对路径, 记录] 列表
+    list() {
+        return Array.from(this.entries, ([relativePath, entry]) => [this.toAbsolute(relativePath), entry]);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // 串行写盘，避免并发写入互相覆盖
+    save() {
+        this.saving = this.saving
+            .then(() => this.write())
+            .catch(error => {
+                console.error('保存转换清单失败:', error.message);
+            });
+        return this.saving;
+    }
+
+    async write() {
+        const data = {
+            version: MANIFEST_VERSION,
+            sourceDir: this.sourceDir,
+            files: Object.fromEntries(this.entries)
+        };
+        const tempPath = `${this.manifestPath}.${process.pid}.tmp`;
+
+        await fs.ensureDir(path.dirname(this.manifestPath));
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, this.manifestPath);
+    }
+}
+
+module.exports = ConversionManifest;
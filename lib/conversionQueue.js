@@ -0,0 +1,379 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+    concurrency: 2,         // 同时运行的任务数
+    heavyConcurrency: 1,    // 同时运行的重量级任务数（调用 soffice、pandoc 等外部工具）
+    maxRetries: 3,          // 临时性失败的最大重试次数
+    retryDelay: 1000,       // 首次重试延迟（毫秒），之后按指数增长
+    maxRetryDelay: 60000,
+    historyLimit: 100,      // 保留的已完成/失败任务数
+    statePath: null,        // 队列状态持久化路径，为空时不持久化
+    isHeavy: () => false,   // 判断任务是否为重量级
+    handler: null           // async (job, signal) => result，signal 在任务被取消时触发
+};
+
+// 可以重试的错误：文件被占用、资源暂时不足等。外部工具超时（重试同样会超时）和权限错误不重试
+const TRANSIENT_ERROR_REGEX = /EBUSY|EAGAIN|EMFILE|ENFILE|ECONNRESET|被占用/i;
+
+/**
+ * 转换任务队列：限制并发、失败重试，并把队列状态保存到磁盘以便重启后继续。
+ * 任务状态: pending → running → completed / retrying / failed / cancelled
+ * 事件: jobUpdated(job), completed(job, result), failed(job, error)
+ */
+class ConversionQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.jobs = new Map();      // id -> job
+        this.waiters = new Map();   // id -> [{ resolve, reject }]，不持久化
+        this.controllers = new Map(); // 运行中任务的 AbortController
+        this.tasks = new Set();     // 运行中任务的 Promise，停止时等待其结束
+        this.running = 0;
+        this.heavyRunning = 0;
+        this.paused = false;
+        this.retryTimer = null;
+        this.saveTimer = null;
+        this.ready = this.load();
+    }
+
+    static isTransientError(error) {
+        if (!error) return false;
+        if (error.transient !== undefined) return !!error.transient;
+        return TRANSIENT_ERROR_REGEX.test(`${error.code || ''} ${error.message || ''}`);
+    }
+
+    // 从磁盘恢复队列，中断时正在运行的任务重新排队
+    async load() {
+        if (!this.options.statePath) {
+            return;
+        }
+
+        try {
+            if (!(await fs.pathExists(this.options.statePath))) {
+                return;
+            }
+
+            const state = JSON.parse(await fs.readFile(this.options.statePath, 'utf8'));
+            for (const job of state.jobs || []) {
+                if (job.state === 'running') {
+                    job.state = 'pending';
+                }
+                this.jobs.set(job.id, job);
+            }
+
+            const pending = this.getJobs().filter(job => this.isActive(job)).length;
+            if (pending > 0) {
+                console.log(`已恢复 ${pending} 个未完成的转换任务`);
+            }
+        } catch (error) {
+            console.warn('加载转换队列失败，使用空队列:', error.message);
+            this.jobs.clear();
+        }
+    }
+
+    async save() {
+        if (!this.options.statePath) {
+            return;
+        }
+
+        try {
+            const tempPath = `${this.options.statePath}.tmp`;
+            await fs.ensureDir(path.dirname(this.options.statePath));
+            await fs.writeFile(tempPath, JSON.stringify({ jobs: this.getJobs() }, null, 2), 'utf8');
+            await fs.rename(tempPath, this.options.statePath);
+        } catch (error) {
+            console.error('保存转换队列失败:', error.message);
+        }
+    }
+
+    // 合并短时间内的多次状态变化再写盘
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 200);
+    }
+
+    async flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.save();
+    }
+
+    isActive(job) {
+        return job.state === 'pending' || job.state === 'retrying' || job.state === 'running';
+    }
+
+    getJobs() {
+        return Array.from(this.jobs.values());
+    }
+
+    findActiveJob(filePath) {
+        return this.getJobs().find(job => job.filePath === filePath && this.isActive(job));
+    }
+
+    /**
+     * 添加转换任务。同一文件已在排队时合并；正在运行时标记为完成后重新运行。
+     * @returns {Promise<*>} 任务最终完成时 resolve 处理结果，最终失败时 reject
+     */
+    async add(filePath, options = {}) {
+        await this.ready;
+
+        let job = this.findActiveJob(filePath);
+        if (job) {
+            job.force = job.force || !!options.force;
+            if (job.state === 'running') {
+                job.rerun = true;
+            }
+        } else {
+            job = {
+                id: crypto.randomBytes(8).toString('hex'),
+                filePath,
+                force: !!options.force,
+                heavy: !!this.options.isHeavy(filePath),
+                state: 'pending',
+                attempts: 0,
+                error: null,
+                nextRunAt: null,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+            this.jobs.set(job.id, job);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            if (!this.waiters.has(job.id)) {
+                this.waiters.set(job.id, []);
+            }
+            this.waiters.get(job.id).push({ resolve, reject });
+        });
+
+        this.update(job, {});
+        this.pump();
+        return promise;
+    }
+
+    // 取消某个文件的任务（例如源文件已被删除），运行中的任务会终止外部进程
+    remove(filePath) {
+        for (const job of this.getJobs()) {
+            if (job.filePath === filePath) {
+                this.cancel(job.id);
+            }
+        }
+    }
+
+    /**
+     * 取消任务
+     * @returns {boolean} 任务存在且尚未结束时返回 true
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || !this.isActive(job)) {
+            return false;
+        }
+
+        if (job.state === 'running') {
+            job.cancelled = 'cancel';
+            job.rerun = false;
+            this.controllers.get(job.id).abort();
+        } else {
+            this.update(job, { state: 'cancelled', nextRunAt: null });
+            this.settle(job, new Error('任务已取消'));
+        }
+        return true;
+    }
+
+    // 清空所有排队中的任务
+    clear() {
+        for (const job of this.getJobs()) {
+            if (job.state === 'pending' || job.state === 'retrying') {
+                this.jobs.delete(job.id);
+                this.settle(job, new Error('任务已取消'));
+            }
+        }
+        this.scheduleSave();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.pump();
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        this.emit('jobUpdated', { ...job });
+        this.scheduleSave();
+    }
+
+    settle(job, error, result) {
+        const waiters = this.waiters.get(job.id) || [];
+        this.waiters.delete(job.id);
+        for (const waiter of waiters) {
+            if (error) {
+                waiter.reject(error);
+            } else {
+                waiter.resolve(result);
+            }
+        }
+    }
+
+    nextRunnableJob() {
+        const now = Date.now();
+        return this.getJobs().find(job => {
+            if (job.state === 'pending') {
+                return !job.heavy || this.heavyRunning < this.options.heavyConcurrency;
+            }
+            if (job.state === 'retrying' && job.nextRunAt <= now) {
+                return !job.heavy || this.heavyRunning < this.options.heavyConcurrency;
+            }
+            return false;
+        });
+    }
+
+    // 调度任务直到达到并发上限
+    pump() {
+        if (this.paused || !this.options.handler) {
+            return;
+        }
+
+        this.ready.then(() => {
+            let job;
+            while (this.running < this.options.concurrency && (job = this.nextRunnableJob())) {
+                const task = this.run(job);
+                this.tasks.add(task);
+                task.finally(() => this.tasks.delete(task));
+            }
+            this.scheduleRetry();
+        });
+    }
+
+    // 为等待重试的任务设置定时器
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        const retryTimes = this.getJobs()
+            .filter(job => job.state === 'retrying')
+            .map(job => job.nextRunAt);
+        if (retryTimes.length === 0) {
+            return;
+        }
+
+        const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+        this.retryTimer = setTimeout(() => this.pump(), delay);
+    }
+
+    async run(job) {
+        this.running++;
+        if (job.heavy) this.heavyRunning++;
+        this.update(job, { state: 'running', attempts: job.attempts + 1, rerun: false });
+
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+
+        try {
+            const result = await this.options.handler(job, controller.signal);
+
+            // 不响应 signal 的处理函数（进程内的转换库）在取消后仍会正常返回，结果作废
+            if (job.cancelled === 'requeue') {
+                this.update(job, { state: 'pending', attempts: job.attempts - 1, cancelled: undefined });
+            } else if (job.cancelled) {
+                const error = new Error('任务已取消');
+                error.code = 'ABORT_ERR';
+                this.update(job, { state: 'cancelled', error: error.message, cancelled: undefined });
+                this.settle(job, error);
+            } else if (job.rerun) {
+                // 运行期间文件又发生了变化，重新排队
+                this.update(job, { state: 'pending', attempts: 0, rerun: false });
+            } else {
+                this.update(job, { state: 'completed', error: null, nextRunAt: null });
+                this.settle(job, null, result);
+                this.emit('completed', job, result);
+            }
+        } catch (error) {
+            if (job.cancelled === 'requeue') {
+                // 队列停止时中断的任务，下次启动时重新运行
+                this.update(job, { state: 'pending', attempts: job.attempts - 1, cancelled: undefined });
+            } else if (job.cancelled) {
+                this.update(job, { state: 'cancelled', error: error.message, cancelled: undefined });
+                this.settle(job, error);
+            } else if (job.rerun) {
+                this.update(job, { state: 'pending', attempts: 0, rerun: false, error: error.message });
+            } else if (ConversionQueue.isTransientError(error) && job.attempts <= this.options.maxRetries) {
+                const delay = Math.min(
+                    this.options.retryDelay * Math.pow(2, job.attempts - 1),
+                    this.options.maxRetryDelay
+                );
+                console.warn(`转换失败，${delay}ms 后重试 (${job.attempts}/${this.options.maxRetries}): ${job.filePath}`);
+                this.update(job, { state: 'retrying', error: error.message, nextRunAt: Date.now() + delay });
+            } else {
+                this.update(job, { state: 'failed', error: error.message, nextRunAt: null });
+                this.settle(job, error);
+                this.emit('failed', job, error);
+            }
+        } finally {
+            this.controllers.delete(job.id);
+            this.running--;
+            if (job.heavy) this.heavyRunning--;
+            this.trimHistory();
+            this.pump();
+        }
+    }
+
+    // 只保留最近的已完成/失败任务
+    trimHistory() {
+        const finished = this.getJobs()
+            .filter(job => !this.isActive(job))
+            .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+        while (finished.length > this.options.historyLimit) {
+            this.jobs.delete(finished.shift().id);
+        }
+    }
+
+    getStatus() {
+        const counts = { pending: 0, running: 0, retrying: 0, completed: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.state] = (counts[job.state] || 0) + 1;
+        }
+
+        return {
+            depth: counts.pending + counts.retrying,
+            running: this.running,
+            heavyRunning: this.heavyRunning,
+            concurrency: this.options.concurrency,
+            heavyConcurrency: this.options.heavyConcurrency,
+            paused: this.paused,
+            counts,
+            jobs: this.getJobs().map(job => ({ ...job }))
+        };
+    }
+
+    // 停止调度并终止正在运行的外部进程，这些任务保存为待处理，重启后重新运行。
+    // 运行中的任务结束、队列状态保存完成后返回
+    async stop() {
+        this.pause();
+        clearTimeout(this.retryTimer);
+        for (const job of this.getJobs()) {
+            if (job.state === 'running') {
+                job.cancelled = 'requeue';
+                this.controllers.get(job.id).abort();
+            }
+        }
+        // 等待处理函数结束（不响应 signal 的会运行到结束），它们的状态更新写入最后一次保存
+        await Promise.all(this.tasks);
+        await this.flush();
+    }
+}
+
+ConversionQueue.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ConversionQueue;
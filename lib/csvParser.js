@@ -0,0 +1,116 @@
+// CSV/TSV 解析（RFC 4180）：引号内可以包含分隔符、换行和转义的双引号 ""
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// 嗅探分隔符时最多检查的字符数
+const SNIFF_LENGTH = 64 * 1024;
+
+/**
+ * 解析 CSV 文本
+ * @param {string} text 文件内容（已解码）
+ * @param {string} delimiter 分隔符
+ * @returns {string[][]} 记录列表，跳过完全空白的行
+ */
+function parse(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoted = false;     // 当前字段以引号开始
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const endField = () => {
+        row.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(cell => cell !== '')) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field.trim() === '' && !quoted) {
+            // 只有位于字段开头的引号才表示引用字段，其他位置的引号按普通字符处理
+            field = '';
+            inQuotes = true;
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else if (!quoted) {
+            field += char;
+        }
+        // 引号结束后、分隔符之前的多余字符忽略
+    }
+
+    if (field !== '' || quoted || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * 根据前若干行的列数一致性猜测分隔符
+ * @returns {string} 逗号、分号、制表符或竖线，无法判断时返回逗号
+ */
+function sniffDelimiter(text, candidates = DELIMITERS) {
+    let sample = text.slice(0, SNIFF_LENGTH);
+    // 截断的最后一行可能不完整
+    if (text.length > SNIFF_LENGTH) {
+        sample = sample.slice(0, Math.max(sample.lastIndexOf('\n'), 0));
+    }
+
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of candidates) {
+        const rows = parse(sample, delimiter).slice(0, 50);
+        if (rows.length === 0) continue;
+
+        // 出现最多的列数及其占比
+        const counts = new Map();
+        rows.forEach(row => counts.set(row.length, (counts.get(row.length) || 0) + 1));
+        let columns = 1;
+        let frequency = 0;
+        counts.forEach((count, length) => {
+            if (count > frequency || (count === frequency && length > columns)) {
+                columns = length;
+                frequency = count;
+            }
+        });
+        if (columns < 2) continue;
+
+        // 列数越一致越可信，列数相同时多列优先
+        const score = frequency / rows.length + columns / 1000;
+        if (score > best.score) {
+            best = { delimiter, score };
+        }
+    }
+    return best.delimiter;
+}
+
+module.exports = {
+    DELIMITERS,
+    parse,
+    sniffDelimiter
+};
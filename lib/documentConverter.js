@@ -1,19 +1,140 @@
 const mammoth = require('mammoth');
-const pdfParse = require('pdf-parse');
 const TurndownService = require('turndown');
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
 const os = require('os');
-const XLSX = require('xlsx');
-const ExcelJS = require('exceljs');
+const { pathToFileURL } = require('url');
+const mime = require('mime-types');
+const MarkdownChunker = require('./markdownChunker');
+const frontMatter = require('./frontMatter');
+const { runProcess, isCommandAvailable } = require('./processRunner');
+const { addTableRule, addNoteRules } = require('./turndownRules');
+const pdfLayout = require('./pdfLayout');
+const excelReader = require('./excelReader');
+const csvParser = require('./csvParser');
+const textEncoding = require('./encoding');
+const pptxReader = require('./pptxReader');
+const epubReader = require('./epubReader');
+const emailParser = require('./emailParser');
+const structuredData = require('./structuredData');
+const markdownNormalizer = require('./markdownNormalizer');
+const sourceCode = require('./sourceCode');
+const PathSandbox = require('./pathSandbox');
+
+// 各转换方法的版本：转换逻辑变化时递增，已有输出会按转换清单自动重新生成。
+// libraries 的版本、可用的 tools 以及 options 中对应的格式配置也参与判断
+const CONVERTER_VERSIONS = {
+    convertDocx: { version: 3, libraries: ['mammoth', 'turndown'], options: 'docx' },
+    convertDoc: { version: 3, libraries: ['mammoth', 'turndown'], tools: ['libreoffice', 'pandoc'], options: 'docx' },
+    convertPdf: { version: 3, libraries: ['pdf-parse'], tools: ['tesseract', 'pdftoppm'], options: 'pdf' },
+    convertHtml: { version: 3, libraries: ['turndown'], options: 'html' },
+    convertWithPandoc: { version: 1, tools: ['pandoc'] },
+    convertText: { version: 2, options: 'text' },
+    convertExcel: { version: 2, libraries: ['exceljs', 'xlsx'], options: 'excel' },
+    convertCsv: { version: 3, options: 'csv' },
+    convertPptx: { version: 1, libraries: ['jszip', '@xmldom/xmldom'], options: 'pptx' },
+    convertPresentation: { version: 1, libraries: ['jszip', '@xmldom/xmldom'], tools: ['libreoffice'], options: 'pptx' },
+    convertEpub: { version: 1, libraries: ['jszip', '@xmldom/xmldom', 'turndown'], options: 'epub' },
+    convertEmail: { version: 1, libraries: ['turndown'], options: 'email' },
+    convertMbox: { version: 1, libraries: ['turndown'], options: 'email' },
+    convertStructuredData: { version: 2, libraries: ['@xmldom/xmldom', 'js-yaml'], options: 'data' },
+    convertMarkdown: { version: 1, libraries: ['js-yaml'], options: 'markdown' },
+    convertSourceCode: { version: 1, options: 'code' }
+};
+
+// 结构化数据的扩展名与格式
+const STRUCTURED_FORMATS = {
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.xml': 'xml'
+};
+
+// 中文 Word 中常见的自定义标题样式，mammoth 默认只识别 Heading 1-6
+const DOCX_STYLE_MAP = [
+    "p[style-name='Title'] => h1:fresh",
+    "p[style-name='标题'] => h1:fresh",
+    ...[1, 2, 3, 4, 5, 6].flatMap(level => [
+        `p[style-name='标题 ${level}'] => h${level}:fresh`,
+        `p[style-name='标题${level}'] => h${level}:fresh`
+    ])
+];
+
+const LIBRARY_VERSIONS = {};
+for (const name of ['mammoth', 'turndown', 'pdf-parse', 'xlsx', 'exceljs', 'jszip', '@xmldom/xmldom', 'js-yaml']) {
+    try {
+        LIBRARY_VERSIONS[name] = require(`${name}/package.json`).version;
+    } catch (error) {
+        LIBRARY_VERSIONS[name] = 'unknown';
+    }
+}
 
 class DocumentConverter {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            ...options,
+            // DOCX 选项：images 图片处理方式（extracted 写入输出旁的 .assets 目录，inline 内嵌 base64，
+            // dropped 丢弃）；styleMap 追加的 mammoth 样式映射；comments 为 true 时批注输出为引用块
+            docx: { images: 'extracted', styleMap: [], comments: false, ...(options.docx || {}) },
+            // PDF 选项：pageAnchors 插入页码锚点，stripHeadersFooters 去除页眉页脚，detectHeadings 按字号识别标题；
+            // ocr 为文字少于 minChars 的页面（扫描件）调用 tesseract 识别，设置 ocr: false 可关闭
+            pdf: {
+                ...pdfLayout.DEFAULT_OPTIONS,
+                ...(options.pdf || {}),
+                ocr: options.pdf && options.pdf.ocr === false
+                    ? false
+                    : { languages: 'chi_sim+eng', minChars: 30, dpi: 300, ...((options.pdf && options.pdf.ocr) || {}) }
+            },
+            // Excel 选项：includeHidden 转换隐藏工作表，dateFormat/dateTimeFormat 日期格式，
+            // mergedCells 合并单元格处理（repeat/first），formulas 输出结果或公式（result/formula/both），
+            // sectionChars 大表按行拆分的小节大小
+            excel: { ...excelReader.DEFAULT_OPTIONS, ...(options.excel || {}) },
+            // CSV 选项：delimiter 分隔符（auto 自动识别，.tsv 固定为制表符），header 首行是否为表头（auto/true/false），
+            // maxTableColumns 超过该列数的表格逐行输出为字段列表
+            csv: { delimiter: 'auto', header: 'auto', maxTableColumns: 10, ...(options.csv || {}) },
+            // PPTX 选项：images 图片处理方式（同 DOCX），notes 输出演讲者备注，includeHidden 转换隐藏的幻灯片
+            pptx: { images: 'extracted', notes: true, includeHidden: false, ...(options.pptx || {}) },
+            // EPUB 选项：split 为 true 时每章输出一个文件（放在 <文件名>.parts 目录，主文件为目录页），
+            // toc 输出目录，images 图片处理方式（同 DOCX）
+            epub: { split: false, toc: true, images: 'extracted', ...(options.epub || {}) },
+            // 邮件选项：body 优先使用的正文（text/html），quotes 引用的历史邮件（fold 折叠/strip 去除/keep 保留），
+            // attachments 递归转换支持格式的附件，maxDepth 附件中邮件的最大嵌套层数，images 内嵌图片处理方式（同 DOCX）
+            email: { body: 'text', quotes: 'fold', attachments: true, maxDepth: 2, images: 'extracted', ...(options.email || {}) },
+            // JSON/YAML/XML 选项：maxDepth 展开为标题的最大层数（更深的部分输出为代码块），
+            // maxTableColumns 对象数组超过该列数时逐条输出，maxListItems 无法整理为表格的数组超过该数量时输出为代码块
+            data: { maxDepth: 4, maxTableColumns: 10, maxListItems: 100, ...(options.data || {}) },
+            // Markdown 选项：links 把指向其他支持格式的相对链接改为对应的 .md，
+            // images 相对路径引用的本地图片处理方式（extracted 复制到 .assets 目录，keep 保留原链接）
+            markdown: { links: true, images: 'extracted', ...(options.markdown || {}) },
+            // 源代码选项：split 按顶层函数、类等定义拆分为小节
+            code: { split: true, ...(options.code || {}) },
+            // RAG 分块配置，设置 chunking: false 可关闭
+            chunking: options.chunking === false
+                ? false
+                : { enabled: true, ...(options.chunking || {}) },
+            // 输出文件头部的 YAML front matter，设置 frontMatter: false 可关闭
+            frontMatter: options.frontMatter === false
+                ? false
+                : {
+                    enabled: true,
+                    ...(options.frontMatter || {}),
+                    fields: {
+                        ...frontMatter.DEFAULT_FIELDS,
+                        ...((options.frontMatter && options.frontMatter.fields) || {})
+                    }
+                }
+        };
+        this.chunker = this.options.chunking && this.options.chunking.enabled
+            ? new MarkdownChunker(this.options.chunking)
+            : null;
+
         this.turndownService = new TurndownService({
             headingStyle: 'atx',
             codeBlockStyle: 'fenced'
         });
+        addTableRule(this.turndownService);
+        addNoteRules(this.turndownService);
           this.supportedFormats = {
             '.docx': this.convertDocx.bind(this),
             '.doc': this.convertDoc.bind(this),
@@ -27,55 +148,140 @@ class DocumentConverter {
             '.xls': this.convertExcel.bind(this),
             '.xlsm': this.convertExcel.bind(this),
             '.xlsb': this.convertExcel.bind(this),
-            '.csv': this.convertCsv.bind(this)
+            '.csv': this.convertCsv.bind(this),
+            '.tsv': this.convertCsv.bind(this),
+            '.pptx': this.convertPptx.bind(this),
+            '.ppt': this.convertPresentation.bind(this),
+            '.odp': this.convertPresentation.bind(this),
+            '.epub': this.convertEpub.bind(this),
+            '.eml': this.convertEmail.bind(this),
+            '.mbox': this.convertMbox.bind(this),
+            '.json': this.convertStructuredData.bind(this),
+            '.yaml': this.convertStructuredData.bind(this),
+            '.yml': this.convertStructuredData.bind(this),
+            '.xml': this.convertStructuredData.bind(this),
+            '.md': this.convertMarkdown.bind(this),
+            '.markdown': this.convertMarkdown.bind(this)
+        };
+        for (const ext of Object.keys(sourceCode.LANGUAGES)) {
+            this.supportedFormats[ext] = this.convertSourceCode.bind(this);
+        }
+        this.heavyFormats = new Set(['.doc', '.rtf', '.odt', '.ppt', '.odp']);
+        
+        // 外部工具超时（毫秒）
+        this.toolTimeouts = {
+            probe: 10000,
+            pandoc: 120000,
+            libreoffice: 180000,
+            unstructured: 300000,
+            ocr: 120000,    // 每页的 pdftoppm 和 tesseract 分别计时
+            ...(options.toolTimeouts || {})
         };
-          // 检查外部工具可用性
+        
+        // 检查外部工具可用性（异步检测，完成前视为不可用）
         this.toolsAvailable = {
-            pandoc: this.checkPandocAvailable(),
-            unstructured: this.checkUnstructuredAvailable(),
-            libreoffice: this.checkLibreOfficeAvailable()
+            pandoc: false,
+            unstructured: false,
+            libreoffice: false,
+            tesseract: false,
+            pdftoppm: false
         };
+        // tesseract 已安装的语言包
+        this.ocrLanguages = [];
+        this.ready = this.detectTools();
+        
+        // 各目录中的源文件名，按不含扩展名的名称分组（目录 -> Map<名称, 文件名[]>），用于判断同名源文件。
+        // 由 FileWatcher 按忽略规则维护，没有记录的目录在用到时读取
+        this.sourceNames = new Map();
     }
 
-    checkPandocAvailable() {
-        try {
-            execSync('pandoc --version', { stdio: 'ignore' });
+    async detectTools() {
+        const [pandoc, libreoffice, unstructured, tesseract, pdftoppm] = await Promise.all([
+            this.checkPandocAvailable(),
+            this.checkLibreOfficeAvailable(),
+            this.checkUnstructuredAvailable(),
+            this.checkTesseractAvailable(),
+            this.checkPdftoppmAvailable()
+        ]);
+        this.toolsAvailable = { pandoc, unstructured, libreoffice, tesseract, pdftoppm };
+        return this.toolsAvailable;
+    }
+
+    async checkPandocAvailable() {
+        if (await isCommandAvailable('pandoc', ['--version'], this.toolTimeouts.probe)) {
             console.log('✓ Pandoc 可用');
             return true;
-        } catch (error) {
-            console.log('⚠ Pandoc 不可用，某些格式转换可能受限');
-            return false;
         }
+        console.log('⚠ Pandoc 不可用，某些格式转换可能受限');
+        return false;
     }    
-    checkLibreOfficeAvailable() {
-        try {
-            execSync('soffice --version', { stdio: 'ignore' });
+    async checkLibreOfficeAvailable() {
+        if (await isCommandAvailable('soffice', ['--version'], this.toolTimeouts.probe)) {
             console.log('✓ LibreOffice 可用');
             return true;
-        } catch (error) {
-            console.log('⚠ LibreOffice 不可用，DOC 文件转换将受限');
-            return false;
         }
+        console.log('⚠ LibreOffice 不可用，DOC 文件转换将受限');
+        return false;
     }    
-    checkUnstructuredAvailable() {
+    async checkUnstructuredAvailable() {
+        // 首先检查 unstructured 是否安装
+        if (!await isCommandAvailable('python', ['-c', 'import unstructured'], this.toolTimeouts.probe)) {
+            console.log('⚠ Unstructured 不可用，将使用其他方法');
+            return false;
+        }
+        
+        // 然后检查 LibreOffice 是否可用（直接检查，避免循环调用）
+        if (await isCommandAvailable('soffice', ['--version'], this.toolTimeouts.probe)) {
+            console.log('✓ Unstructured 和 LibreOffice 都可用');
+            return true;
+        }
+        console.log('⚠ Unstructured 已安装但 LibreOffice 不可用，DOC 文件转换将受限');
+        return false;
+    }
+
+    async checkTesseractAvailable() {
         try {
-            // 首先检查 unstructured 是否安装
-            execSync('python -c "import unstructured"', { stdio: 'ignore' });
-            
-            // 然后检查 LibreOffice 是否可用（直接检查，避免循环调用）
-            try {
-                execSync('soffice --version', { stdio: 'ignore' });
-                console.log('✓ Unstructured 和 LibreOffice 都可用');
-                return true;
-            } catch (libreOfficeError) {
-                console.log('⚠ Unstructured 已安装但 LibreOffice 不可用，DOC 文件转换将受限');
-                return false;
-            }
+            // 旧版本 tesseract 把语言列表输出到 stderr
+            const { stdout, stderr } = await runProcess('tesseract', ['--list-langs'], {
+                timeout: this.toolTimeouts.probe
+            });
+            this.ocrLanguages = `${stdout}\n${stderr}`.split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => /^[A-Za-z0-9_]+$/.test(line));
         } catch (error) {
-            console.log('⚠ Unstructured 不可用，将使用其他方法');
+            console.log('⚠ Tesseract 不可用，扫描版 PDF 无法识别文字');
             return false;
         }
-    }getSupportedFormats() {
+
+        const missing = this.getOcrLanguages().missing;
+        if (missing.length > 0) {
+            console.log(`⚠ Tesseract 可用，但缺少语言包: ${missing.join(', ')}`);
+        } else {
+            console.log('✓ Tesseract 可用');
+        }
+        return true;
+    }
+
+    async checkPdftoppmAvailable() {
+        if (await isCommandAvailable('pdftoppm', ['-v'], this.toolTimeouts.probe)) {
+            console.log('✓ pdftoppm 可用');
+            return true;
+        }
+        console.log('⚠ pdftoppm 不可用，扫描版 PDF 无法进行 OCR');
+        return false;
+    }
+
+    // 配置的 OCR 语言中已安装和缺少的部分
+    getOcrLanguages() {
+        const ocr = this.options.pdf.ocr;
+        const configured = ocr ? ocr.languages.split('+').filter(Boolean) : [];
+        return {
+            installed: configured.filter(lang => this.ocrLanguages.includes(lang)),
+            missing: configured.filter(lang => !this.ocrLanguages.includes(lang))
+        };
+    }
+
+    getSupportedFormats() {
         return Object.keys(this.supportedFormats);
     }
 
@@ -84,6 +290,9 @@ class DocumentConverter {
             pandoc: this.toolsAvailable.pandoc,
             unstructured: this.toolsAvailable.unstructured,
             libreoffice: this.toolsAvailable.libreoffice,
+            tesseract: this.toolsAvailable.tesseract,
+            pdftoppm: this.toolsAvailable.pdftoppm,
+            ocrLanguages: this.ocrLanguages,
             recommendations: this.getRecommendations()
         };
     }    getRecommendations() {
@@ -113,6 +322,28 @@ class DocumentConverter {
             });
         }
         
+        if (!this.toolsAvailable.tesseract) {
+            recommendations.push({
+                tool: 'Tesseract',
+                reason: '识别扫描版 PDF 中的文字（需要 chi_sim 中文语言包）',
+                install: 'https://tesseract-ocr.github.io/tessdoc/Installation.html'
+            });
+        } else if (this.options.pdf.ocr && this.getOcrLanguages().missing.length > 0) {
+            recommendations.push({
+                tool: 'Tesseract 语言包',
+                reason: `缺少 OCR 语言: ${this.getOcrLanguages().missing.join(', ')}`,
+                install: 'https://github.com/tesseract-ocr/tessdata'
+            });
+        }
+        
+        if (!this.toolsAvailable.pdftoppm) {
+            recommendations.push({
+                tool: 'Poppler (pdftoppm)',
+                reason: '把扫描版 PDF 页面转为图片后进行 OCR',
+                install: 'https://poppler.freedesktop.org/'
+            });
+        }
+        
         return recommendations;
     }
 
@@ -121,9 +352,296 @@ class DocumentConverter {
         return this.supportedFormats.hasOwnProperty(ext);
     }
 
-    async convertFile(inputPath, outputPath) {
+    /**
+     * 计算某个文件的转换指纹，与转换清单中的记录比较以判断输出是否过期
+     * @returns {{converter: string, engineVersion: string, optionsFingerprint: string}}
+     */
+    getConversionFingerprint(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const converter = this.supportedFormats[ext].name.replace(/^bound /, '');
+        const info = CONVERTER_VERSIONS[converter] || { version: 0 };
+        
+        const engineVersion = [
+            `${converter}@${info.version}`,
+            ...(info.libraries || []).map(name => `${name}@${LIBRARY_VERSIONS[name]}`)
+        ].join(' ');
+        
+        const options = {
+            tools: (info.tools || []).filter(tool => this.toolsAvailable[tool]),
+            frontMatter: this.options.frontMatter,
+            chunking: this.options.chunking,
+            format: info.options ? this.options[info.options] : undefined
+        };
+        const optionsFingerprint = crypto.createHash('md5').update(JSON.stringify(options)).digest('hex');
+        
+        return { converter, engineVersion, optionsFingerprint };
+    }
+
+    // 需要调用 soffice、pandoc 等外部工具的格式，转换队列会单独限制其并发
+    isHeavy(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.heavyFormats.has(ext);
+    }
+
+    // 输出 Markdown 对应的附属文件（分块、图片目录、分文件目录），删除或移动时需要一并处理
+    getSidecarPaths(outputPath) {
+        return [this.getChunksPath(outputPath), this.getAssetsDir(outputPath), this.getPartsDir(outputPath)];
+    }
+
+    // 按章节拆分的输出（如 EPUB）保存在输出文件旁的 <文件名>.parts 目录，主文件为目录页
+    getPartsDir(outputPath) {
+        const parsed = path.parse(outputPath);
+        return path.join(parsed.dir, `${parsed.name}.parts`);
+    }
+
+    // 提取的图片保存在输出文件旁的 <文件名>.assets 目录
+    getAssetsDir(outputPath) {
+        const parsed = path.parse(outputPath);
+        return path.join(parsed.dir, `${parsed.name}.assets`);
+    }
+
+    // Markdown 中引用图片目录的相对链接，空格和括号需要编码
+    getAssetsLink(assetsDirName) {
+        return assetsDirName.replace(/[ ()<>]/g, char => encodeURIComponent(char));
+    }
+
+    /**
+     * 记录转换中提取的图片，以内容哈希命名，同一文档中重复的图片只保存一份
+     * @returns {string} Markdown 中使用的相对链接
+     */
+    addAsset(meta, buffer, contentType) {
+        const hash = crypto.createHash('md5').update(buffer).digest('hex').slice(0, 16);
+        const name = `${hash}.${mime.extension(contentType) || 'bin'}`;
+        
+        meta.assets = meta.assets || [];
+        if (!meta.assets.some(asset => asset.name === name)) {
+            meta.assets.push({ name, contentType, buffer });
+        }
+        return `${this.getAssetsLink(meta.assetsDir)}/${name}`;
+    }
+
+    // 写入提取的图片，先清除上次转换留下的图片
+    async writeAssets(assets = [], outputPath) {
+        const assetsDir = this.getAssetsDir(outputPath);
+        await fs.remove(assetsDir);
+        
+        if (assets.length === 0) {
+            return;
+        }
+        
+        await fs.ensureDir(assetsDir);
+        for (const asset of assets) {
+            await fs.writeFile(path.join(assetsDir, asset.name), asset.buffer);
+        }
+    }
+
+    getChunksPath(outputPath) {
+        return MarkdownChunker.getChunksPath(outputPath);
+    }
+
+    /**
+     * 生成分文件（meta.parts）的完整内容：每个分文件带有自己的 front matter，
+     * 分文件位于 .parts 目录中，图片链接需要回到上一级
+     * @returns {Array<{name: string, markdown: string}>}
+     */
+    renderParts(inputPath, meta, context = {}) {
+        const assetsLink = meta.assetsDir ? this.getAssetsLink(meta.assetsDir) : null;
+        return (meta.parts || []).map((part) => {
+            let body = part.markdown;
+            if (assetsLink) {
+                body = body.split(`](${assetsLink}/`).join(`](../${assetsLink}/`);
+            }
+            return {
+                name: part.name,
+                markdown: this.buildFrontMatter(inputPath, { ...meta, ...part.meta }, context) + body
+            };
+        });
+    }
+
+    // 写入分文件及其分块，先清除上次转换留下的分文件
+    async writeParts(parts, inputPath, outputPath, context = {}) {
+        const partsDir = this.getPartsDir(outputPath);
+        await fs.remove(partsDir);
+        
+        if (parts.length === 0) {
+            return;
+        }
+        
+        await fs.ensureDir(partsDir);
+        for (const part of parts) {
+            const partPath = path.join(partsDir, part.name);
+            await fs.writeFile(partPath, part.markdown, 'utf8');
+            if (this.chunker) {
+                await this.writeChunks(part.markdown, inputPath, partPath, context, part.name);
+            }
+        }
+    }
+
+    // 生成 .chunks.jsonl；sourceDir 用于记录相对源路径，分文件的 sourcePath 后加 #文件名
+    async writeChunks(markdown, inputPath, outputPath, context = {}, partName = null) {
+        const chunksPath = this.getChunksPath(outputPath);
+        let sourcePath = context.sourceDir
+            ? path.relative(context.sourceDir, inputPath).split(path.sep).join('/')
+            : path.basename(inputPath);
+        if (partName) {
+            sourcePath += `#${partName}`;
+        }
+
+        const chunks = this.chunker.chunk(markdown, { sourcePath });
+        await fs.writeFile(chunksPath, this.chunker.toJsonl(chunks), 'utf8');
+
+        return { chunksPath, chunkCount: chunks.length };
+    }
+
+    // 根据转换信息生成 front matter，只保留配置中开启的字段
+    buildFrontMatter(inputPath, meta, context = {}) {
+        const config = this.options.frontMatter;
+        if (!config || !config.enabled) {
+            return '';
+        }
+
+        const source = context.sourceDir
+            ? path.relative(context.sourceDir, inputPath).split(path.sep).join('/')
+            : path.basename(inputPath);
+        const values = {
+            title: meta.title || path.parse(inputPath).name,
+            source,
+            source_md5: context.sourceHash,
+            engine: meta.engine,
+            converted_at: new Date(),
+            pages: meta.pages,
+            sheets: meta.sheets,
+            slides: meta.slides,
+            chapters: meta.chapters,
+            messages: meta.messages,
+            from: meta.from,
+            to: meta.to,
+            date: meta.date,
+            subject: meta.subject,
+            language: meta.language,
+            ocr_pages: meta.ocrPages && meta.ocrPages.length > 0 ? meta.ocrPages : undefined
+        };
+
+        const data = {};
+        for (const [key, value] of Object.entries(values)) {
+            if (config.fields[key]) {
+                data[key] = value;
+            }
+        }
+        // 源文件自带的 front matter（Markdown）：生成的字段优先，其余字段原样保留
+        for (const [key, value] of Object.entries(meta.frontMatter || {})) {
+            if (data[key] === undefined || data[key] === null || data[key] === '') {
+                data[key] = value;
+            }
+        }
+
+        return frontMatter.stringify(data);
+    }
+
+    /**
+     * 源文件移动或重命名后搬移已有输出，不重新转换。
+     * 更新 front matter 中的 source/title 和文件名标题，并按新路径重新生成分块
+     */
+    async moveOutput(previousInputPath, inputPath, previousOutputPath, outputPath, context = {}) {
+        const toSource = (filePath) => context.sourceDir
+            ? path.relative(context.sourceDir, filePath).split(path.sep).join('/')
+            : path.basename(filePath);
+        let markdown = await fs.readFile(previousOutputPath, 'utf8');
+        
+        const { data, length } = frontMatter.parse(markdown);
+        let header = markdown.slice(0, length);
+        let body = markdown.slice(length);
+        
+        if (length > 0) {
+            header = header.replace(/^source: .*$/m, `source: ${JSON.stringify(toSource(inputPath))}`);
+            if (data.title === path.parse(previousInputPath).name) {
+                header = header.replace(/^title: .*$/m, `title: ${JSON.stringify(path.parse(inputPath).name)}`);
+            }
+        }
+        
+        // 图片目录随输出改名，更新其中的相对链接
+        const previousAssetsLink = this.getAssetsLink(path.basename(this.getAssetsDir(previousOutputPath)));
+        const assetsLink = this.getAssetsLink(path.basename(this.getAssetsDir(outputPath)));
+        if (previousAssetsLink !== assetsLink) {
+            body = body.split(`](${previousAssetsLink}/`).join(`](${assetsLink}/`);
+        }
+        const previousPartsLink = this.getAssetsLink(path.basename(this.getPartsDir(previousOutputPath)));
+        const partsLink = this.getAssetsLink(path.basename(this.getPartsDir(outputPath)));
+        if (previousPartsLink !== partsLink) {
+            body = body.split(`](${previousPartsLink}/`).join(`](${partsLink}/`);
+        }
+        
+        // 各转换方法生成的文件名标题
+        const previousHeading = `# ${path.basename(previousInputPath)}\n`;
+        const leading = body.match(/^\s*/)[0];
+        if (body.slice(leading.length).startsWith(previousHeading)) {
+            body = leading + `# ${path.basename(inputPath)}\n` + body.slice(leading.length + previousHeading.length);
+        }
+        markdown = header + body;
+        
+        await fs.ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, markdown, 'utf8');
+        
+        // 分块中的 sourcePath 和 ID 依赖源路径，重新生成；其他附属文件直接移动
+        const previousSidecars = this.getSidecarPaths(previousOutputPath);
+        const sidecars = this.getSidecarPaths(outputPath);
+        const previousChunksPath = this.getChunksPath(previousOutputPath);
+        
+        for (let i = 0; i < previousSidecars.length; i++) {
+            if (previousSidecars[i] === previousChunksPath) continue;
+            if (await fs.pathExists(previousSidecars[i])) {
+                await fs.move(previousSidecars[i], sidecars[i], { overwrite: true });
+            }
+        }
+        
+        await fs.remove(previousChunksPath);
+        if (this.chunker) {
+            await this.writeChunks(markdown, inputPath, outputPath, context);
+        }
+        
+        // 分文件同样更新 source 和图片链接，并重新生成分块
+        const partsDir = this.getPartsDir(outputPath);
+        const partNames = await fs.readdir(partsDir).catch(() => []);
+        for (const name of partNames.filter(item => item.endsWith('.md'))) {
+            const partPath = path.join(partsDir, name);
+            let part = await fs.readFile(partPath, 'utf8');
+            const partHeaderLength = frontMatter.parse(part).length;
+            part = part.slice(0, partHeaderLength).replace(/^source: .*$/m, `source: ${JSON.stringify(toSource(inputPath))}`) +
+                part.slice(partHeaderLength).split(`](../${previousAssetsLink}/`).join(`](../${assetsLink}/`);
+            await fs.writeFile(partPath, part, 'utf8');
+            
+            await fs.remove(this.getChunksPath(partPath));
+            if (this.chunker) {
+                await this.writeChunks(part, inputPath, partPath, context, name);
+            }
+        }
+        
+        await fs.remove(previousOutputPath);
+        
+        return {
+            outputPath,
+            outputHash: crypto.createHash('md5').update(markdown).digest('hex')
+        };
+    }
+
+    async getFileHash(filePath) {
+        const buffer = await fs.readFile(filePath);
+        return crypto.createHash('md5').update(buffer).digest('hex');
+    }
+
+    /**
+     * 转换单个文件并写入输出
+     * @param {string} inputPath 源文件路径
+     * @param {string} outputPath 输出 Markdown 路径
+     * @param {object} context 可选：sourceDir 源根目录，sourceHash 源文件 MD5（未提供时自动计算），
+     *   signal 用于取消正在运行的外部工具
+     */
+    async convertFile(inputPath, outputPath, context = {}) {
         const ext = path.extname(inputPath).toLowerCase();
         
+        // 等待外部工具检测完成
+        await this.ready;
+        
         if (!this.isSupported(inputPath)) {
             throw new Error(`不支持的文件格式: ${ext}`);
         }
@@ -131,36 +649,176 @@ class DocumentConverter {
         console.log(`开始转换: ${inputPath} -> ${outputPath}`);
         
         try {
-            const converter = this.supportedFormats[ext];
-            const markdown = await converter(inputPath);
+            // 各转换方法把引擎、页数等信息写入 meta；signal 传给外部工具用于取消，
+            // assetsDir 为提取图片的目录名，partsDir 为分文件的目录名，sourceDir 限制可以引用的本地文件
+            const meta = {
+                signal: context.signal,
+                sourceDir: context.sourceDir,
+                assetsDir: path.basename(this.getAssetsDir(outputPath)),
+                partsDir: path.basename(this.getPartsDir(outputPath))
+            };
+            if (this.options.frontMatter && this.options.frontMatter.enabled &&
+                !context.sourceHash && this.options.frontMatter.fields.source_md5) {
+                context = { ...context, sourceHash: await this.getFileHash(inputPath) };
+            }
+            const markdown = await this.render(inputPath, meta, context);
+            
+            // 进程内的转换库不响应取消，转换期间任务被取消时不写入输出
+            if (context.signal && context.signal.aborted) {
+                const error = new Error('转换已取消');
+                error.code = 'ABORT_ERR';
+                throw error;
+            }
             
             // 确保输出目录存在
             await fs.ensureDir(path.dirname(outputPath));
             
-            // 写入Markdown文件
+            // 写入Markdown文件和提取的图片
             await fs.writeFile(outputPath, markdown, 'utf8');
+            await this.writeAssets(meta.assets, outputPath);
+            const parts = this.renderParts(inputPath, meta, context);
+            await this.writeParts(parts, inputPath, outputPath, context);
             
-            console.log(`转换完成: ${outputPath}`);
-            return {
+            const result = {
                 success: true,
                 inputPath,
                 outputPath,
-                size: markdown.length
+                size: markdown.length,
+                outputHash: crypto.createHash('md5').update(markdown).digest('hex'),
+                engine: meta.engine,
+                encoding: meta.encoding,
+                assetCount: (meta.assets || []).length,
+                partCount: parts.length
             };
+
+            // 生成 RAG 分块文件
+            if (this.chunker) {
+                Object.assign(result, await this.writeChunks(markdown, inputPath, outputPath, context));
+            }
+            
+            console.log(`转换完成: ${outputPath}`);
+            return result;
         } catch (error) {
             console.error(`转换失败 ${inputPath}:`, error.message);
             throw error;
         }
-    }    async convertDoc(filePath) {
+    }
+
+    // 调用对应格式的转换方法并加上 front matter
+    async render(inputPath, meta, context = {}) {
+        const ext = path.extname(inputPath).toLowerCase();
+        const markdown = await this.supportedFormats[ext](inputPath, meta);
+        return this.buildFrontMatter(inputPath, meta, context) + markdown;
+    }
+
+    /**
+     * 在内存中转换文档，不写入输出文件
+     * @param {Buffer} buffer 文件内容
+     * @param {string} fileName 原文件名，用于判断格式和生成标题
+     * @param {object} context 可选：signal 用于取消正在运行的外部工具
+     * @returns {Promise<{success: boolean, fileName: string, markdown: string, size: number,
+     *   outputHash: string, engine: string, encoding?: string, assets: object[], chunks?: object[], parts?: object[]}>}
+     *   提取的图片以 base64 放在 assets 中，path 为 Markdown 中引用的相对路径；
+     *   按章节拆分的分文件放在 parts 中（path、markdown、chunks）
+     */
+    async convertBuffer(buffer, fileName, context = {}) {
+        const ext = path.extname(fileName).toLowerCase();
+        
+        await this.ready;
+        
+        if (!this.isSupported(fileName)) {
+            throw new Error(`不支持的文件格式: ${ext}`);
+        }
+
+        const meta = {
+            signal: context.signal,
+            assetsDir: `${path.parse(fileName).name}.assets`,
+            partsDir: `${path.parse(fileName).name}.parts`
+        };
+        let inputPath = path.basename(fileName);
+        let tempDir = null;
+        
+        try {
+            if (this.isHeavy(fileName)) {
+                // 外部工具只能读取文件，写入独立的临时目录
+                tempDir = await this.createTempDir();
+                inputPath = path.join(tempDir, path.basename(fileName));
+                await fs.writeFile(inputPath, buffer);
+            } else {
+                meta.buffer = buffer;
+            }
+            
+            const renderContext = { sourceHash: crypto.createHash('md5').update(buffer).digest('hex') };
+            const markdown = await this.render(inputPath, meta, renderContext);
+            
+            const result = {
+                success: true,
+                fileName: path.basename(fileName),
+                markdown,
+                size: markdown.length,
+                outputHash: crypto.createHash('md5').update(markdown).digest('hex'),
+                engine: meta.engine,
+                encoding: meta.encoding,
+                assets: (meta.assets || []).map(asset => ({
+                    path: `${meta.assetsDir}/${asset.name}`,
+                    contentType: asset.contentType,
+                    data: asset.buffer.toString('base64')
+                }))
+            };
+            if (this.chunker) {
+                result.chunks = this.chunker.chunk(markdown, { sourcePath: result.fileName });
+            }
+            if (meta.parts) {
+                result.parts = this.renderParts(inputPath, meta, renderContext).map(part => ({
+                    path: `${meta.partsDir}/${part.name}`,
+                    markdown: part.markdown,
+                    ...(this.chunker
+                        ? { chunks: this.chunker.chunk(part.markdown, { sourcePath: `${result.fileName}#${part.name}` }) }
+                        : {})
+                }));
+            }
+            return result;
+        } catch (error) {
+            console.error(`转换失败 ${fileName}:`, error.message);
+            throw error;
+        } finally {
+            if (tempDir) {
+                await fs.remove(tempDir).catch(() => {
+                    // 忽略清理错误
+                });
+            }
+        }
+    }
+
+    // 读取源文件内容；convertBuffer 转换时直接使用 meta.buffer
+    async readInput(filePath, meta = {}) {
+        return meta.buffer || fs.readFile(filePath);
+    }
+
+    // 读取文本文件并识别编码（GBK、Big5 等），识别结果写入 meta.encoding
+    async readText(filePath, meta = {}, options = {}) {
+        const { text, encoding, source } = textEncoding.decode(await this.readInput(filePath, meta), options);
+        meta.encoding = encoding;
+        if (encoding !== 'utf-8') {
+            console.log(`${path.basename(filePath)} 编码: ${encoding}（${source}）`);
+        }
+        return text;
+    }
+
+    async convertDoc(filePath, meta = {}) {
         console.log(`正在转换 DOC 文件: ${filePath}`);
+        let lastError = null;
         
         // 对于DOC文件，优先使用 LibreOffice + mammoth 方案（最可靠）
         if (this.toolsAvailable.libreoffice) {
             try {
                 console.log('使用 LibreOffice + mammoth 转换 DOC 文件...');
-                return await this.convertDocViaLibreOffice(filePath);
+                return await this.convertDocViaLibreOffice(filePath, meta);
             } catch (error) {
+                // 已取消的任务不再尝试其他方法
+                if (error.code === 'ABORT_ERR') throw error;
                 console.warn(`LibreOffice + mammoth 转换失败: ${error.message}`);
+                lastError = error;
             }
         }
         
@@ -168,9 +826,11 @@ class DocumentConverter {
         if (this.toolsAvailable.pandoc) {
             try {
                 console.log('尝试使用 Pandoc 转换 DOC 文件...');
-                return await this.convertWithPandoc(filePath);
+                return await this.convertWithPandoc(filePath, meta);
             } catch (error) {
+                if (error.code === 'ABORT_ERR') throw error;
                 console.warn(`Pandoc 转换失败: ${error.message}`);
+                lastError = error;
             }
         }
         
@@ -182,13 +842,31 @@ class DocumentConverter {
             '4. 使用在线转换工具将文件转换为支持的格式'
         ];
         
-        throw new Error(`DOC文件转换失败。所有转换方法都不可用或失败。建议的解决方案：\n${suggestions.join('\n')}`);
+        const error = new Error(`DOC文件转换失败。所有转换方法都不可用或失败。建议的解决方案：\n${suggestions.join('\n')}`);
+        if (lastError && lastError.code) {
+            // 保留超时、取消等错误码，便于转换队列判断是否重试
+            error.code = lastError.code;
+        }
+        throw error;
+    }
+
+    // 每次调用外部工具使用独立的临时目录，避免并发时文件互相覆盖
+    async createTempDir() {
+        return fs.mkdtemp(path.join(os.tmpdir(), 'docconv-'));
+    }
+
+    // 运行外部工具，meta.signal 可用于取消
+    runTool(tool, command, args, meta = {}, options = {}) {
+        console.log(`执行命令: ${command} ${args.map(arg => JSON.stringify(arg)).join(' ')}`);
+        return runProcess(command, args, {
+            timeout: this.toolTimeouts[tool],
+            signal: meta.signal,
+            ...options
+        });
     }
 
-    async convertWithPandoc(filePath) {
+    async convertWithPandoc(filePath, meta = {}) {
         const ext = path.extname(filePath).toLowerCase();
-        const tempDir = os.tmpdir();
-        const tempMdFile = path.join(tempDir, `temp_${Date.now()}.md`);
         
         try {
             // 构建 pandoc 命令
@@ -212,50 +890,51 @@ class DocumentConverter {
                     inputFormat = 'docx'; // 默认尝试 docx
             }
             
-            const command = `pandoc -f ${inputFormat} -t markdown "${filePath}" -o "${tempMdFile}"`;
-            console.log(`执行命令: ${command}`);
-            
-            execSync(command, { 
-                stdio: 'pipe',
-                maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-            });
-            
-            // 读取生成的 Markdown 文件
-            let markdown = await fs.readFile(tempMdFile, 'utf8');
-            
-            // 清理临时文件
-            await fs.remove(tempMdFile);
+            const { stdout } = await this.runTool('pandoc', 'pandoc', [
+                '-f', inputFormat,
+                '-t', 'markdown',
+                filePath
+            ], meta);
+            let markdown = stdout;
             
             // 添加文档信息
             const fileName = path.basename(filePath);
             markdown = `# ${fileName}\n\n${markdown}`;
             
+            meta.engine = 'pandoc';
             console.log(`Pandoc 转换成功: ${filePath}`);
             return markdown;
             
         } catch (error) {
-            // 清理临时文件
-            try {
-                await fs.remove(tempMdFile);
-            } catch (cleanupError) {
-                // 忽略清理错误
-            }
-            throw new Error(`Pandoc 转换失败: ${error.message}`);
+            throw this.wrapToolError('Pandoc 转换失败', error);
+        }
+    }
+
+    // 保留原错误的 code（超时、取消），便于转换队列判断是否重试
+    wrapToolError(prefix, error) {
+        const wrapped = new Error(`${prefix}: ${error.message}`);
+        if (error.code) {
+            wrapped.code = error.code;
         }
-    }    async convertWithUnstructured(filePath) {
-        const tempDir = os.tmpdir();
-        const tempJsonFile = path.join(tempDir, `temp_${Date.now()}.json`);
-        const tempPyFile = path.join(tempDir, `temp_${Date.now()}.py`);
+        return wrapped;
+    }
+
+    async convertWithUnstructured(filePath, meta = {}) {
+        const tempDir = await this.createTempDir();
+        const tempJsonFile = path.join(tempDir, 'result.json');
+        const tempPyFile = path.join(tempDir, 'partition.py');
         
         try {
-            // 使用 unstructured 库提取文档内容
+            // 使用 unstructured 库提取文档内容，路径通过命令行参数传入
             const pythonScript = `
 import json
 import sys
 from unstructured.partition.auto import partition
 
+input_path, output_path = sys.argv[1], sys.argv[2]
+
 try:
-    elements = partition("${filePath.replace(/\\/g, '\\\\')}")
+    elements = partition(input_path)
     data = []
     for element in elements:
         data.append({
@@ -264,7 +943,7 @@ try:
             "metadata": element.metadata.__dict__ if hasattr(element, 'metadata') else {}
         })
 
-    with open("${tempJsonFile.replace(/\\/g, '\\\\')}", 'w', encoding='utf-8') as f:
+    with open(output_path, 'w', encoding='utf-8') as f:
         json.dump(data, f, ensure_ascii=False, indent=2)
         
 except Exception as e:
@@ -273,17 +952,21 @@ except Exception as e:
         "error": str(e),
         "type": type(e).__name__
     }
-    with open("${tempJsonFile.replace(/\\/g, '\\\\')}", 'w', encoding='utf-8') as f:
+    with open(output_path, 'w', encoding='utf-8') as f:
         json.dump({"error": error_info}, f, ensure_ascii=False, indent=2)
     sys.exit(1)
 `;
             
             await fs.writeFile(tempPyFile, pythonScript, 'utf8');
             
-            execSync(`python "${tempPyFile}"`, { 
-                stdio: 'pipe',
-                maxBuffer: 1024 * 1024 * 10
-            });
+            try {
+                await this.runTool('unstructured', 'python', [tempPyFile, filePath, tempJsonFile], meta);
+            } catch (error) {
+                // 脚本出错时错误信息写在结果文件中
+                if (!error.exitCode || !(await fs.pathExists(tempJsonFile))) {
+                    throw error;
+                }
+            }
             
             // 读取解析结果
             const result = JSON.parse(await fs.readFile(tempJsonFile, 'utf8'));
@@ -323,22 +1006,11 @@ except Exception as e:
                 }
             }
             
-            // 清理临时文件
-            await fs.remove(tempPyFile);
-            await fs.remove(tempJsonFile);
-            
+            meta.engine = 'unstructured';
             console.log(`Unstructured 转换成功: ${filePath}`);
             return markdown;
             
         } catch (error) {
-            // 清理临时文件
-            try {
-                await fs.remove(tempPyFile);
-                await fs.remove(tempJsonFile);
-            } catch (cleanupError) {
-                // 忽略清理错误
-            }
-            
             // 检查是否是 LibreOffice 相关错误
             if (error.message.includes('soffice command was not found') || 
                 error.message.includes('libreoffice') ||
@@ -346,13 +1018,18 @@ except Exception as e:
                 throw new Error(`soffice command was not found. Please install libreoffice`);
             }
             
-            throw new Error(`Unstructured 转换失败: ${error.message}`);
+            throw this.wrapToolError('Unstructured 转换失败', error);
+        } finally {
+            // 清理临时文件
+            await fs.remove(tempDir).catch(() => {
+                // 忽略清理错误
+            });
         }
     }
 
-    async convertText(filePath) {
+    async convertText(filePath, meta = {}) {
         try {
-            const text = await fs.readFile(filePath, 'utf8');
+            const text = await this.readText(filePath, meta);
             const fileName = path.basename(filePath);
             
             // 简单的文本格式化
@@ -367,28 +1044,27 @@ except Exception as e:
                 }
             }
             
+            meta.engine = 'text';
             return markdown;
         } catch (error) {
             throw new Error(`文本文件转换失败: ${error.message}`);
         }
     }
 
-    async convertDocx(filePath) {
+    async convertDocx(filePath, meta = {}) {
         try {
-            const buffer = await fs.readFile(filePath);
-            const result = await mammoth.convertToHtml({
-                buffer: buffer,
-                options: {
-                    convertImage: mammoth.images.imgElement(function(image) {
-                        return image.read("base64").then(function(imageBuffer) {
-                            return {
-                                src: "data:" + image.contentType + ";base64," + imageBuffer
-                            };
-                        });
-                    })
-                }
+            const buffer = await this.readInput(filePath, meta);
+            const result = await mammoth.convertToHtml({ buffer: buffer }, {
+                styleMap: this.getDocxStyleMap(),
+                convertImage: this.getDocxImageConverter(meta)
             });
             
+            // 未识别的样式等提示，便于补充样式映射
+            const warnings = result.messages.filter(message => message.type === 'warning');
+            if (warnings.length > 0) {
+                console.warn(`mammoth 提示 ${filePath}: ${warnings.map(message => message.message).join('; ')}`);
+            }
+            
             // 将HTML转换为Markdown
             let markdown = this.turndownService.turndown(result.value);
             
@@ -396,75 +1072,164 @@ except Exception as e:
             const fileName = path.basename(filePath);
             markdown = `# ${fileName}\n\n${markdown}`;
             
+            meta.engine = 'mammoth';
             return markdown;
         } catch (error) {
             throw new Error(`DOCX转换失败: ${error.message}`);
         }
     }
 
-    async convertPdf(filePath) {
+    // 配置的样式映射优先于内置的中文标题映射
+    getDocxStyleMap() {
+        const { styleMap, comments } = this.options.docx;
+        const custom = Array.isArray(styleMap) ? styleMap : String(styleMap || '').split('\n');
+        return [
+            ...custom.filter(line => line.trim()),
+            ...DOCX_STYLE_MAP,
+            ...(comments ? ['comment-reference => sup'] : [])
+        ];
+    }
+
+    // 按配置的图片处理方式生成 mammoth 的 convertImage；没有输出目录时退回内嵌
+    getDocxImageConverter(meta) {
+        const mode = this.options.docx.images;
+        
+        if (mode === 'dropped') {
+            return () => [];
+        }
+        
+        if (mode === 'extracted' && meta.assetsDir) {
+            return mammoth.images.imgElement((image) => {
+                return image.read().then((imageBuffer) => ({
+                    src: this.addAsset(meta, imageBuffer, image.contentType),
+                    alt: image.altText || ''
+                }));
+            });
+        }
+        
+        return mammoth.images.imgElement(function(image) {
+            return image.read("base64").then(function(imageBuffer) {
+                return {
+                    src: "data:" + image.contentType + ";base64," + imageBuffer
+                };
+            });
+        });
+    }
+
+    async convertPdf(filePath, meta = {}) {
         try {
-            const buffer = await fs.readFile(filePath);
-            const data = await pdfParse(buffer);
+            const buffer = await this.readInput(filePath, meta);
+            const data = await pdfLayout.extractPages(buffer);
             
-            // 清理文本并格式化为Markdown
-            let text = data.text;
-            
-            // 基本的文本清理
-            text = text.replace(/\r\n/g, '\n')
-                      .replace(/\r/g, '\n')
-                      .replace(/\n{3,}/g, '\n\n')
-                      .trim();
+            meta.engine = 'pdf-parse';
+            meta.pages = data.numpages;
+            if (data.info && data.info.Title) {
+                meta.title = data.info.Title;
+            }
             
-            // 添加文档信息
-            const fileName = path.basename(filePath);
-            let markdown = `# ${fileName}\n\n`;
+            // 文字很少的页面（扫描件）转为图片后 OCR
+            const ocrTexts = await this.ocrPdfPages(filePath, buffer, data.pages, meta);
             
-            // 尝试识别标题和段落
-            const lines = text.split('\n');
-            let inParagraph = false;
+            // 按版面信息重建段落和标题，去除页眉页脚
+            const body = pdfLayout.layoutToMarkdown(data.pages, this.options.pdf, ocrTexts);
             
-            for (let line of lines) {
-                line = line.trim();
-                if (!line) {
-                    if (inParagraph) {
-                        markdown += '\n\n';
-                        inParagraph = false;
-                    }
-                    continue;
-                }
-                
-                // 简单的标题检测（全大写或首字母大写且较短）
-                if (line.length < 80 && (line === line.toUpperCase() || /^[A-Z][^.]*$/.test(line))) {
-                    if (inParagraph) {
-                        markdown += '\n\n';
-                    }
-                    markdown += `## ${line}\n\n`;
-                    inParagraph = false;
-                } else {
-                    if (!inParagraph) {
-                        inParagraph = true;
-                    } else {
-                        markdown += ' ';
-                    }
-                    markdown += line;
-                }
-            }
-            
-            return markdown;
+            const fileName = path.basename(filePath);
+            return `# ${fileName}\n\n${body}\n`;
         } catch (error) {
+            if (error.code === 'ABORT_ERR') throw error;
             throw new Error(`PDF转换失败: ${error.message}`);
         }
     }
 
-    async convertHtml(filePath) {
+    /**
+     * 对可提取文字少于 ocr.minChars 的页面进行 OCR：pdftoppm 逐页转为灰度 PNG，再交给 tesseract 识别
+     * @returns {Promise<object>} 页码（从 1 开始）到识别文本的映射；识别的页码写入 meta.ocrPages
+     */
+    async ocrPdfPages(filePath, buffer, pages, meta = {}) {
+        const ocr = this.options.pdf.ocr;
+        if (!ocr) {
+            return {};
+        }
+        
+        const pageNumbers = pages
+            .map((lines, index) => ({
+                number: index + 1,
+                chars: lines.reduce((sum, line) => sum + line.text.replace(/\s/g, '').length, 0)
+            }))
+            .filter(page => page.chars < ocr.minChars)
+            .map(page => page.number);
+        if (pageNumbers.length === 0) {
+            return {};
+        }
+        
+        const languages = this.getOcrLanguages().installed;
+        if (!this.toolsAvailable.tesseract || !this.toolsAvailable.pdftoppm || languages.length === 0) {
+            console.warn(`⚠ ${path.basename(filePath)} 有 ${pageNumbers.length} 页几乎没有文字（可能是扫描件），` +
+                'OCR 需要安装 tesseract（含语言包）和 pdftoppm');
+            return {};
+        }
+        
+        console.log(`对 ${path.basename(filePath)} 的 ${pageNumbers.length} 页进行 OCR (${languages.join('+')})`);
+        const tempDir = await this.createTempDir();
+        const texts = {};
+        
+        try {
+            // convertBuffer 时没有源文件，先写入临时目录
+            let inputPath = filePath;
+            if (meta.buffer) {
+                inputPath = path.join(tempDir, 'input.pdf');
+                await fs.writeFile(inputPath, buffer);
+            }
+            
+            // 逐页处理，避免一次生成所有页面的图片占用大量磁盘和内存
+            for (const number of pageNumbers) {
+                const imagePrefix = path.join(tempDir, `page-${number}`);
+                try {
+                    await this.runTool('ocr', 'pdftoppm', [
+                        '-f', String(number), '-l', String(number),
+                        '-r', String(ocr.dpi), '-gray', '-png', '-singlefile',
+                        inputPath, imagePrefix
+                    ], meta);
+                    const { stdout } = await this.runTool('ocr', 'tesseract', [
+                        `${imagePrefix}.png`, 'stdout', '-l', languages.join('+')
+                    ], meta);
+                    texts[number] = stdout;
+                } catch (error) {
+                    if (error.code === 'ABORT_ERR') throw error;
+                    console.warn(`第 ${number} 页 OCR 失败: ${error.message}`);
+                } finally {
+                    await fs.remove(`${imagePrefix}.png`).catch(() => {
+                        // 忽略清理错误
+                    });
+                }
+            }
+        } finally {
+            await fs.remove(tempDir).catch(() => {
+                // 忽略清理错误
+            });
+        }
+        
+        meta.ocrPages = Object.keys(texts).map(Number).filter(number => texts[number].trim());
+        if (meta.ocrPages.length > 0) {
+            meta.engine = 'pdf-parse+tesseract';
+        }
+        return texts;
+    }
+
+    async convertHtml(filePath, meta = {}) {
         try {
-            const html = await fs.readFile(filePath, 'utf8');
+            const html = await this.readText(filePath, meta, { html: true });
             console.log(`HTML文件大小: ${html.length} 字符`);
             
             let markdown = this.turndownService.turndown(html);
             console.log(`转换后Markdown大小: ${markdown.length} 字符`);
             
+            meta.engine = 'turndown';
+            const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+            if (titleMatch && titleMatch[1].trim()) {
+                meta.title = titleMatch[1].trim();
+            }
+            
             // 添加文档信息
             const fileName = path.basename(filePath);
             markdown = `# ${fileName}\n\n${markdown}`;
@@ -475,123 +1240,149 @@ except Exception as e:
         }
     }
 
+    /**
+     * 输出路径为 <名称>.md；同一目录下有同名不同扩展名的源文件（如 util.c 和 util.h）时
+     * 保留源文件扩展名（util.c.md、util.h.md），避免互相覆盖
+     */
     generateOutputPath(inputPath, sourceDir, targetDir) {
         const relativePath = path.relative(sourceDir, inputPath);
         const parsedPath = path.parse(relativePath);
-        const outputFileName = parsedPath.name + '.md';
+        const outputFileName = (this.hasNameCollision(inputPath) ? parsedPath.base : parsedPath.name) + '.md';
         return path.join(targetDir, parsedPath.dir, outputFileName);
     }
 
-    async convertDocViaLibreOffice(filePath) {
-        const tempDir = os.tmpdir();
-        const tempDocxFile = path.join(tempDir, `temp_${Date.now()}.docx`);
+    // 同一目录下是否还有其他同名（不含扩展名）且支持转换的源文件，隐藏文件不计入；优先使用 setSourceNames 的记录
+    hasNameCollision(inputPath) {
+        const { dir, name, base } = path.parse(path.resolve(inputPath));
+        let names = this.sourceNames.get(dir);
+        if (!names) {
+            let entries;
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                return false;
+            }
+            names = this.groupSourceNames(entries.filter(entry => !entry.isDirectory()).map(entry => entry.name));
+        }
+        return (names.get(name) || []).some(fileName => fileName !== base);
+    }
+
+    /**
+     * 记录目录中的源文件名（调用方已排除忽略的文件），之后判断同名源文件时不再读取该目录；
+     * fileNames 为 null 时删除记录
+     */
+    setSourceNames(dir, fileNames) {
+        if (fileNames) {
+            this.sourceNames.set(path.resolve(dir), this.groupSourceNames(fileNames));
+        } else {
+            this.sourceNames.delete(path.resolve(dir));
+        }
+    }
+
+    groupSourceNames(fileNames) {
+        const names = new Map();
+        for (const fileName of fileNames) {
+            if (fileName.startsWith('.') || !this.isSupported(fileName)) continue;
+            const { name } = path.parse(fileName);
+            if (!names.has(name)) names.set(name, []);
+            names.get(name).push(fileName);
+        }
+        return names;
+    }
+
+    /**
+     * 使用 LibreOffice 转换为指定格式。每次调用使用独立的输出目录和用户配置目录，
+     * 避免并发运行的 soffice 共享配置而互相阻塞
+     * @returns {Promise<{tempDir: string, outputFile: string}>} 调用方负责删除 tempDir
+     */
+    async convertWithLibreOffice(filePath, format, meta = {}) {
+        const tempDir = await this.createTempDir();
+        const outDir = path.join(tempDir, 'out');
+        const profileUrl = pathToFileURL(path.join(tempDir, 'profile')).href;
         
         try {
-            console.log('使用 LibreOffice 将 DOC 转换为临时 DOCX 文件...');
-            
-            // 使用 LibreOffice 转换 DOC 到 DOCX
-            const command = `soffice --headless --convert-to docx --outdir "${tempDir}" "${filePath}"`;
-            console.log(`执行命令: ${command}`);
-            
-            execSync(command, { 
-                stdio: 'pipe',
-                maxBuffer: 1024 * 1024 * 10,
-                timeout: 30000 // 30秒超时
-            });
+            await fs.ensureDir(outDir);
+            await this.runTool('libreoffice', 'soffice', [
+                `-env:UserInstallation=${profileUrl}`,
+                '--headless',
+                '--norestore',
+                '--convert-to', format,
+                '--outdir', outDir,
+                filePath
+            ], meta);
             
             // 构建预期的输出文件路径
-            const originalName = path.basename(filePath, '.doc');
-            const actualTempFile = path.join(tempDir, `${originalName}.docx`);
+            const outputFile = path.join(outDir, `${path.parse(filePath).name}.${format.split(':')[0]}`);
             
             // 检查文件是否生成
-            if (!await fs.pathExists(actualTempFile)) {
-                throw new Error('LibreOffice 转换未生成预期的 DOCX 文件');
+            if (!await fs.pathExists(outputFile)) {
+                throw new Error(`LibreOffice 转换未生成预期的 ${format.toUpperCase()} 文件`);
             }
             
+            return { tempDir, outputFile };
+        } catch (error) {
+            await fs.remove(tempDir).catch(() => {
+                // 忽略清理错误
+            });
+            throw error;
+        }
+    }
+
+    async convertDocViaLibreOffice(filePath, meta = {}) {
+        let tempDir = null;
+        
+        try {
+            console.log('使用 LibreOffice 将 DOC 转换为临时 DOCX 文件...');
+            
+            // 使用 LibreOffice 转换 DOC 到 DOCX
+            const converted = await this.convertWithLibreOffice(filePath, 'docx', meta);
+            tempDir = converted.tempDir;
+            
             // 使用 mammoth 处理生成的 DOCX 文件
             console.log('使用 mammoth 处理转换后的 DOCX 文件...');
-            const markdown = await this.convertDocx(actualTempFile);
-            
-            // 清理临时文件
-            await fs.remove(actualTempFile);
+            const markdown = await this.convertDocx(converted.outputFile, meta);
+            meta.engine = 'libreoffice+mammoth';
             
             console.log(`LibreOffice + mammoth 转换成功: ${filePath}`);
             return markdown;
             
         } catch (error) {
+            throw this.wrapToolError('LibreOffice 转换失败', error);
+        } finally {
             // 清理临时文件
-            try {
-                const originalName = path.basename(filePath, '.doc');
-                const actualTempFile = path.join(tempDir, `${originalName}.docx`);
-                await fs.remove(actualTempFile);
-            } catch (cleanupError) {
-                // 忽略清理错误
+            if (tempDir) {
+                await fs.remove(tempDir).catch(() => {
+                    // 忽略清理错误
+                });
             }
-              throw new Error(`LibreOffice 转换失败: ${error.message}`);
         }
     }
 
-    async convertExcel(filePath) {
+    async convertExcel(filePath, meta = {}) {
         try {
             console.log(`正在转换 Excel 文件: ${filePath}`);
             
-            const workbook = XLSX.readFile(filePath);
+            const buffer = await this.readInput(filePath, meta);
+            const { engine, sheets: allSheets } = await excelReader.readWorkbook(buffer, filePath, this.options.excel);
             const fileName = path.basename(filePath);
             let markdown = `# ${fileName}\n\n`;
             
-            // 遍历所有工作表
-            const sheetNames = workbook.SheetNames;
+            // 默认跳过隐藏的工作表
+            const sheets = this.options.excel.includeHidden
+                ? allSheets
+                : allSheets.filter(sheet => !sheet.hidden);
+            if (sheets.length < allSheets.length) {
+                console.log(`跳过 ${allSheets.length - sheets.length} 个隐藏工作表`);
+            }
+            meta.engine = engine;
+            meta.sheets = sheets.length;
             
-            for (let i = 0; i < sheetNames.length; i++) {
-                const sheetName = sheetNames[i];
-                const worksheet = workbook.Sheets[sheetName];
-                
+            for (const sheet of sheets) {
                 // 如果有多个工作表，添加工作表标题
-                if (sheetNames.length > 1) {
-                    markdown += `## 工作表: ${sheetName}\n\n`;
-                }
-                
-                // 将工作表转换为JSON数组
-                const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                    header: 1, // 使用数组而不是对象
-                    defval: '', // 空单元格的默认值
-                    blankrows: false // 跳过空行
-                });
-                
-                if (jsonData.length === 0) {
-                    markdown += '*该工作表为空*\n\n';
-                    continue;
-                }
-                
-                // 检查是否有数据
-                const hasData = jsonData.some(row => row.some(cell => cell !== ''));
-                if (!hasData) {
-                    markdown += '*该工作表为空*\n\n';
-                    continue;
-                }
-                
-                // 找到最大列数
-                const maxCols = Math.max(...jsonData.map(row => row.length));
-                
-                // 如果第一行看起来像标题行，使用表格格式
-                if (jsonData.length > 1) {
-                    const firstRow = jsonData[0];
-                    const hasHeaders = firstRow.every(cell => 
-                        typeof cell === 'string' && cell.trim() !== ''
-                    );
-                    
-                    if (hasHeaders) {
-                        // 表格格式
-                        markdown += this.formatAsTable(jsonData, maxCols);
-                    } else {
-                        // 简单列表格式
-                        markdown += this.formatAsSimpleList(jsonData);
-                    }
-                } else {
-                    // 单行数据
-                    markdown += this.formatAsSimpleList(jsonData);
+                if (sheets.length > 1) {
+                    markdown += `## 工作表: ${sheet.name}${sheet.hidden ? '（隐藏）' : ''}\n\n`;
                 }
-                
+                markdown += this.formatSheet(sheet, sheets.length > 1 ? 3 : 2);
                 markdown += '\n';
             }
             
@@ -603,33 +1394,137 @@ except Exception as e:
         }
     }
 
-    async convertCsv(filePath) {
+    /**
+     * 把工作表输出为 Markdown 表格：
+     * 第一行是跨所有列的合并标题时单独输出；表头含合并单元格时把多行表头合并为 "上级 / 下级"；
+     * 表格超过 sectionChars 时按行拆成多个小节，每节重复表头并标明 Excel 行号
+     * @param {number} sectionLevel 行范围小节的标题级别
+     */
+    formatSheet(sheet, sectionLevel) {
+        let rows = sheet.rows;
+        if (rows.length === 0) {
+            return '*该工作表为空*\n\n';
+        }
+        
+        let markdown = '';
+        const maxCols = Math.max(...rows.map(row => row.cells.length));
+        const distinct = (cells) => Array.from(new Set(cells.filter(cell => cell !== '')));
+        
+        // 表格上方的标题行
+        if (rows.length > 1 && maxCols > 1 && distinct(rows[0].cells).length === 1) {
+            markdown += `**${distinct(rows[0].cells)[0]}**\n\n`;
+            rows = rows.slice(1);
+        }
+        
+        if (rows.length === 1) {
+            return markdown + this.formatAsSimpleList(rows.map(row => row.cells));
+        }
+        
+        // 从表头行开始的合并单元格向下覆盖几行，表头就有几行（最多 3 行）
+        const first = rows[0].number;
+        const headerBottom = Math.max(first, ...sheet.merges
+            .filter(merge => merge.top === first)
+            .map(merge => Math.min(merge.bottom, first + 2)));
+        const headerRows = rows.filter(row => row.number <= headerBottom);
+        
+        let header;
+        let dataRows = rows.slice(headerRows.length);
+        if (headerRows.length > 1 && dataRows.length > 0) {
+            header = Array.from({ length: maxCols }, (_, i) =>
+                distinct(headerRows.map(row => row.cells[i] || '')).join(' / '));
+        } else if (this.looksLikeHeader(rows[0].cells, rows[1].cells, maxCols)) {
+            header = rows[0].cells;
+            dataRows = rows.slice(1);
+        } else {
+            // 没有表头时使用列序号作为表头，所有行都作为数据
+            header = [];
+            dataRows = rows;
+        }
+        
+        // 按字符数把数据行分组
+        const sectionChars = this.options.excel.sectionChars;
+        const sections = [];
+        let current = null;
+        for (const row of dataRows) {
+            const size = row.cells.reduce((sum, cell) => sum + cell.length + 3, 2);
+            if (!current || (sectionChars > 0 && current.size + size > sectionChars && current.rows.length > 0)) {
+                current = { rows: [], size: 0 };
+                sections.push(current);
+            }
+            current.rows.push(row);
+            current.size += size;
+        }
+        
+        const keepText = text => text;
+        sections.forEach((section) => {
+            if (sections.length > 1) {
+                const from = section.rows[0].number;
+                const to = section.rows[section.rows.length - 1].number;
+                markdown += `${'#'.repeat(sectionLevel)} 第 ${from}-${to} 行\n\n`;
+            }
+            markdown += this.formatAsTable([header, ...section.rows.map(row => row.cells)], maxCols, keepText);
+            markdown += '\n';
+        });
+        
+        return markdown;
+    }
+
+    // 表头行：每列都有内容且互不重复；全是数字的一行只有在下一行不全是数字时才算表头
+    looksLikeHeader(firstRow, nextRow, maxCols) {
+        const cells = Array.from({ length: maxCols }, (_, i) => firstRow[i] || '');
+        if (cells.some(cell => cell === '') || new Set(cells).size !== cells.length) {
+            return false;
+        }
+        const isNumber = cell => /^-?[\d,]*\.?\d+%?$/.test(cell);
+        return !cells.every(isNumber) || !nextRow.filter(cell => cell !== '').every(isNumber);
+    }
+
+    async convertCsv(filePath, meta = {}) {
         try {
             console.log(`正在转换 CSV 文件: ${filePath}`);
             
-            const csvContent = await fs.readFile(filePath, 'utf8');
+            const csvContent = await this.readText(filePath, meta);
             const fileName = path.basename(filePath);
             let markdown = `# ${fileName}\n\n`;
+            meta.engine = 'csv';
+            
+            const options = this.options.csv;
+            let delimiter = options.delimiter;
+            if (path.extname(filePath).toLowerCase() === '.tsv') {
+                delimiter = '\t';
+            } else if (!delimiter || delimiter === 'auto') {
+                delimiter = csvParser.sniffDelimiter(csvContent);
+            }
+            console.log(`CSV 分隔符: ${JSON.stringify(delimiter)}`);
             
-            // 简单的CSV解析（处理基本情况）
-            const lines = csvContent.split(/\r?\n/).filter(line => line.trim());
+            // 按规范解析，引号内的换行属于字段内容
+            const records = csvParser.parse(csvContent, delimiter);
             
-            if (lines.length === 0) {
+            if (records.length === 0) {
                 markdown += '*CSV文件为空*\n\n';
                 return markdown;
             }
             
-            // 解析CSV行
-            const rows = lines.map(line => this.parseCSVLine(line));
+            if (records.length === 1) {
+                markdown += this.formatAsSimpleList(records);
+                return markdown;
+            }
             
             // 找到最大列数
-            const maxCols = Math.max(...rows.map(row => row.length));
+            const maxCols = Math.max(...records.map(row => row.length));
+            const rows = records.map(row => row.map(cell => excelReader.escapeCell(cell)));
             
-            // 格式化为表格
-            if (rows.length > 1) {
-                markdown += this.formatAsTable(rows, maxCols);
+            const hasHeader = options.header === 'auto'
+                ? this.looksLikeHeader(rows[0], rows[1], maxCols)
+                : !!options.header;
+            const header = hasHeader ? rows[0] : [];
+            const dataRows = hasHeader ? rows.slice(1) : rows;
+            
+            // 列数太多的表格在 Markdown 中难以阅读，分块后也会丢失列名，逐行输出为字段列表
+            if (maxCols > options.maxTableColumns) {
+                markdown += this.formatAsRecords(header, dataRows, maxCols, hasHeader ? 2 : 1);
             } else {
-                markdown += this.formatAsSimpleList(rows);
+                markdown += this.formatAsTable([header, ...dataRows], maxCols, text => text);
             }
             
             console.log(`CSV 转换成功: ${filePath}`);
@@ -640,8 +1535,813 @@ except Exception as e:
         }
     }
 
-    // 辅助方法：格式化为Markdown表格
-    formatAsTable(data, maxCols) {
+    async convertPptx(filePath, meta = {}) {
+        try {
+            console.log(`正在转换 PPTX 文件: ${filePath}`);
+
+            const buffer = await this.readInput(filePath, meta);
+            const markdown = await this.formatPresentation(buffer, path.basename(filePath), meta);
+            meta.engine = 'pptx';
+
+            console.log(`PPTX 转换成功: ${filePath}`);
+            return markdown;
+        } catch (error) {
+            throw new Error(`PPTX转换失败: ${error.message}`);
+        }
+    }
+
+    // .ppt/.odp 先用 LibreOffice 转为 PPTX，再按 PPTX 处理
+    async convertPresentation(filePath, meta = {}) {
+        if (!this.toolsAvailable.libreoffice) {
+            throw new Error(`${path.extname(filePath).toUpperCase().slice(1)} 转换需要安装 LibreOffice: https://www.libreoffice.org/download/download/`);
+        }
+
+        let tempDir = null;
+        try {
+            console.log(`使用 LibreOffice 将 ${path.basename(filePath)} 转换为临时 PPTX 文件...`);
+            const converted = await this.convertWithLibreOffice(filePath, 'pptx', meta);
+            tempDir = converted.tempDir;
+
+            const buffer = await fs.readFile(converted.outputFile);
+            const markdown = await this.formatPresentation(buffer, path.basename(filePath), meta);
+            meta.engine = 'libreoffice+pptx';
+
+            console.log(`LibreOffice + PPTX 转换成功: ${filePath}`);
+            return markdown;
+        } catch (error) {
+            throw this.wrapToolError('LibreOffice 转换失败', error);
+        } finally {
+            if (tempDir) {
+                await fs.remove(tempDir).catch(() => {
+                    // 忽略清理错误
+                });
+            }
+        }
+    }
+
+    /**
+     * 每张幻灯片输出为一个 "## 第 N 页: 标题" 小节，依次为正文、表格、图片和演讲者备注
+     */
+    async formatPresentation(buffer, fileName, meta) {
+        const options = this.options.pptx;
+        const presentation = await pptxReader.readPresentation(buffer);
+
+        const slides = options.includeHidden
+            ? presentation.slides
+            : presentation.slides.filter(slide => !slide.hidden);
+        if (slides.length < presentation.slides.length) {
+            console.log(`跳过 ${presentation.slides.length - slides.length} 张隐藏幻灯片`);
+        }
+        meta.slides = slides.length;
+        if (presentation.title && !meta.title) {
+            meta.title = presentation.title;
+        }
+
+        let markdown = `# ${fileName}\n\n`;
+        for (const slide of slides) {
+            const title = slide.title.replace(/\s+/g, ' ');
+            markdown += `## 第 ${slide.number} 页${title ? `: ${title}` : ''}${slide.hidden ? '（隐藏）' : ''}\n\n`;
+
+            for (const shape of slide.shapes) {
+                if (shape.kind === 'text') {
+                    markdown += this.formatSlideParagraphs(shape.paragraphs);
+                } else if (shape.kind === 'table' && shape.rows.length > 0) {
+                    const rows = shape.rows.map(row => row.map(cell => excelReader.escapeCell(cell)));
+                    const maxCols = Math.max(...rows.map(row => row.length));
+                    markdown += this.formatAsTable(rows, maxCols, text => text) + '\n';
+                } else if (shape.kind === 'image') {
+                    const link = await this.getSlideImageLink(presentation, shape, meta);
+                    if (link) {
+                        markdown += `![${shape.alt.replace(/[[\]]/g, '')}](${link})\n\n`;
+                    }
+                }
+            }
+
+            if (options.notes && slide.notes.length > 0) {
+                markdown += '### 备注\n\n';
+                markdown += this.formatSlideParagraphs(slide.notes);
+            }
+        }
+
+        return markdown;
+    }
+
+    // 项目符号按级别缩进（与上级列表标记对齐），非列表段落之间空一行
+    formatSlideParagraphs(paragraphs) {
+        let markdown = '';
+        let previous = null;
+        let levels = [];    // 各级列表的 { indent, number }
+
+        for (const paragraph of paragraphs) {
+            const text = paragraph.text.replace(/\n/g, paragraph.bullet ? ' ' : '  \n');
+            if (paragraph.bullet) {
+                if (previous && !previous.bullet) markdown += '\n';
+                const parent = levels[Math.min(paragraph.level, levels.length) - 1];
+                const indent = paragraph.level === 0 ? '' : parent ? parent.child : '  '.repeat(paragraph.level);
+                const current = levels[paragraph.level];
+                const numbered = paragraph.bullet === 'number';
+                const number = numbered && current && current.numbered ? current.number + 1 : 1;
+                const marker = numbered ? `${number}.` : '-';
+
+                levels = levels.slice(0, paragraph.level);
+                levels[paragraph.level] = { numbered, number, child: `${indent}${' '.repeat(marker.length + 1)}` };
+                markdown += `${indent}${marker} ${text}\n`;
+            } else {
+                if (previous) markdown += '\n';
+                levels = [];
+                markdown += `${text}\n`;
+            }
+            previous = paragraph;
+        }
+
+        return markdown ? `${markdown}\n` : '';
+    }
+
+    // 按 pptx.images 选项处理图片：extracted 写入 .assets 目录，inline 内嵌 base64，dropped 丢弃
+    async getSlideImageLink(presentation, shape, meta) {
+        const mode = this.options.pptx.images;
+        if (mode === 'dropped') {
+            return null;
+        }
+
+        const buffer = await presentation.readMedia(shape.target);
+        if (!buffer) {
+            return null;
+        }
+        const contentType = mime.lookup(shape.target) || 'application/octet-stream';
+
+        if (mode === 'extracted' && meta.assetsDir) {
+            return this.addAsset(meta, buffer, contentType);
+        }
+        return `data:${contentType};base64,${buffer.toString('base64')}`;
+    }
+
+    async convertEpub(filePath, meta = {}) {
+        try {
+            console.log(`正在转换 EPUB 文件: ${filePath}`);
+
+            const buffer = await this.readInput(filePath, meta);
+            const book = await epubReader.readBook(buffer);
+            const options = this.options.epub;
+            const split = options.split && !!meta.partsDir;
+            const chapters = this.groupEpubChapters(book);
+
+            // 分文件模式下每章一个文件，单文件模式下每章前插入锚点
+            const width = Math.max(2, String(chapters.length).length);
+            chapters.forEach((chapter, index) => {
+                chapter.anchor = `chapter-${index + 1}`;
+                chapter.fileName = `${String(index + 1).padStart(width, '0')}-${this.toPartName(chapter.title)}.md`;
+            });
+            const linkTo = (chapter, fromPart) => {
+                if (!split) return `#${chapter.anchor}`;
+                const link = this.getAssetsLink(chapter.fileName);
+                return fromPart ? link : `${this.getAssetsLink(meta.partsDir)}/${link}`;
+            };
+
+            for (const chapter of chapters) {
+                chapter.markdown = await this.convertEpubChapter(book, chapter, chapters, meta, (target) => linkTo(target, true));
+            }
+
+            meta.engine = 'epub';
+            meta.chapters = chapters.length;
+            if (book.title && !meta.title) {
+                meta.title = book.title;
+            }
+
+            const fileName = path.basename(filePath);
+            let markdown = `# ${fileName}\n\n`;
+            if (book.creator) {
+                markdown += `**作者**: ${book.creator}\n\n`;
+            }
+            if (options.toc) {
+                markdown += this.formatEpubToc(book, chapters, target => linkTo(target, false));
+            }
+
+            if (split) {
+                meta.parts = chapters.map(chapter => ({
+                    name: chapter.fileName,
+                    markdown: `# ${chapter.title}\n\n${this.shiftHeadings(chapter.markdown, 2)}\n`,
+                    meta: { title: chapter.title, chapters: undefined }
+                }));
+            } else {
+                for (const chapter of chapters) {
+                    markdown += `<a id="${chapter.anchor}"></a>\n\n## ${chapter.title}\n\n`;
+                    markdown += `${this.shiftHeadings(chapter.markdown, 3)}\n\n`;
+                }
+            }
+
+            console.log(`EPUB 转换成功: ${filePath}（${chapters.length} 章）`);
+            return markdown;
+        } catch (error) {
+            throw new Error(`EPUB转换失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 按目录把 spine 中的文件分组为章节：目录指向的文件开始新的一章，
+     * 目录中没有的文件（同一章拆成的多个文件）并入上一章
+     */
+    groupEpubChapters(book) {
+        const tocByPath = new Map();
+        for (const entry of book.toc) {
+            if (entry.path && !tocByPath.has(entry.path)) {
+                tocByPath.set(entry.path, entry);
+            }
+        }
+
+        const chapters = [];
+        for (const item of book.spine) {
+            const entry = tocByPath.get(item.path);
+            if (entry || chapters.length === 0) {
+                chapters.push({ title: entry ? entry.title : '', items: [] });
+            }
+            chapters[chapters.length - 1].items.push(item);
+        }
+
+        // 没有目录条目的章节使用正文中的第一个标题或 <title>
+        chapters.forEach((chapter, index) => {
+            if (chapter.title) return;
+            const html = chapter.items[0].html;
+            const match = html.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i) || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+            const title = match ? match[1].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim() : '';
+            chapter.title = title || `第 ${index + 1} 部分`;
+        });
+        return chapters;
+    }
+
+    // 章节正文：图片按 epub.images 处理，指向其他章节的链接改为章节锚点或分文件，再经 turndown 转换
+    async convertEpubChapter(book, chapter, chapters, meta, linkTo) {
+        const chapterByPath = new Map();
+        chapters.forEach(item => item.items.forEach(entry => chapterByPath.set(entry.path, item)));
+        const parts = [];
+
+        for (const item of chapter.items) {
+            const bodyMatch = item.html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+            let html = bodyMatch ? bodyMatch[1] : item.html;
+
+            const images = new Map();
+            const imageRegex = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi;
+            for (const [, , , src] of html.matchAll(imageRegex)) {
+                if (!images.has(src) && !/^[a-z][a-z0-9+.-]*:/i.test(src)) {
+                    images.set(src, await this.getEpubImageLink(book, epubReader.resolveHref(item.path, src).path, meta));
+                }
+            }
+            html = html.replace(imageRegex, (match, prefix, quote, src) =>
+                images.has(src) ? `${prefix}${quote}${images.get(src) || ''}${quote}` : match);
+            if (this.options.epub.images === 'dropped') {
+                html = html.replace(/<img\b[^>]*>/gi, '');
+            }
+
+            html = html.replace(/(<a\b[^>]*?\shref\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, href) => {
+                if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return match;
+                const target = chapterByPath.get(epubReader.resolveHref(item.path, href).path);
+                return target ? `${prefix}${quote}${linkTo(target)}${quote}` : match;
+            });
+
+            parts.push(this.turndownService.turndown(html).trim());
+        }
+
+        // 正文开头与章节标题相同的标题已由章节标题代替。标题经 turndown 转换后带有转义（如 \[1\]），比较前去掉
+        let markdown = parts.filter(Boolean).join('\n\n');
+        const normalize = value => value.replace(/\\([!-/:-@[-`{-~])/g, '$1').replace(/[\s*_`#]+/g, '').toLowerCase();
+        const firstHeading = markdown.match(/^#{1,6}\s+(.*?)\s*#*\s*(?:\n|$)/);
+        if (firstHeading && normalize(firstHeading[1]) === normalize(chapter.title)) {
+            markdown = markdown.slice(firstHeading[0].length).trim();
+        }
+        return markdown;
+    }
+
+    // 按 epub.images 选项处理图片，返回新的图片地址；dropped 时返回 null
+    async getEpubImageLink(book, target, meta) {
+        const mode = this.options.epub.images;
+        const buffer = mode === 'dropped' ? null : await book.readMedia(target);
+        if (!buffer) {
+            return null;
+        }
+        const contentType = mime.lookup(target) || 'application/octet-stream';
+
+        if (mode === 'extracted' && meta.assetsDir) {
+            return this.addAsset(meta, buffer, contentType);
+        }
+        return `data:${contentType};base64,${buffer.toString('base64')}`;
+    }
+
+    // 目录：使用电子书自带的多级目录，没有时列出章节标题
+    formatEpubToc(book, chapters, linkTo) {
+        const chapterByPath = new Map();
+        chapters.forEach(chapter => chapter.items.forEach(item => chapterByPath.set(item.path, chapter)));
+
+        const entries = book.toc.filter(entry => chapterByPath.has(entry.path));
+        const lines = entries.length > 0
+            ? entries.map(entry => `${'  '.repeat(entry.level - 1)}- [${entry.title}](${linkTo(chapterByPath.get(entry.path))})`)
+            : chapters.map(chapter => `- [${chapter.title}](${linkTo(chapter)})`);
+
+        return lines.length > 0 ? `## 目录\n\n${lines.join('\n')}\n\n` : '';
+    }
+
+    // 分文件名：去掉文件名中不允许的字符，过长的标题截断
+    toPartName(title) {
+        return title
+            .replace(/[\\/:*?"<>|#%\[\]\s]+/g, '-')
+            .replace(/^[-.]+|[-.]+$/g, '')
+            .slice(0, 40) || 'part';
+    }
+
+    // 调整标题级别，使最高一级标题为 topLevel（代码块中的 # 行不处理），超过 6 级的按 6 级输出
+    shiftHeadings(markdown, topLevel) {
+        const lines = markdown.split('\n');
+        const isFence = line => /^\s*(```|~~~)/.test(line);
+        let inFence = false;
+        let minLevel = 7;
+
+        for (const line of lines) {
+            if (isFence(line)) inFence = !inFence;
+            const heading = !inFence && line.match(/^(#{1,6})\s/);
+            if (heading) minLevel = Math.min(minLevel, heading[1].length);
+        }
+        if (minLevel === 7 || minLevel === topLevel) {
+            return markdown;
+        }
+
+        inFence = false;
+        return lines.map((line) => {
+            if (isFence(line)) inFence = !inFence;
+            const heading = !inFence && line.match(/^(#{1,6})(\s.*)$/);
+            if (!heading) return line;
+            const level = Math.min(6, heading[1].length + topLevel - minLevel);
+            return `${'#'.repeat(level)}${heading[2]}`;
+        }).join('\n');
+    }
+
+    async convertEmail(filePath, meta = {}) {
+        try {
+            console.log(`正在转换邮件: ${filePath}`);
+
+            const buffer = await this.readInput(filePath, meta);
+            const message = emailParser.parseMessage(buffer);
+            Object.assign(meta, this.getEmailFields(message));
+            if (message.subject && !meta.title) {
+                meta.title = message.subject;
+            }
+            meta.engine = 'email';
+
+            // 作为附件转换时没有 front matter，邮件头写在正文中
+            const fileName = path.basename(filePath);
+            const headers = meta.emailDepth ? this.formatEmailHeaders(message, true) : '';
+            return `# ${fileName}\n\n${headers}${await this.formatEmailMessage(message, meta, 2)}`;
+        } catch (error) {
+            if (error.code === 'ABORT_ERR') throw error;
+            throw new Error(`邮件转换失败: ${error.message}`);
+        }
+    }
+
+    // mbox 中每封邮件输出为一个分文件，主文件为邮件列表；没有分文件目录时（如作为附件）依次输出
+    async convertMbox(filePath, meta = {}) {
+        try {
+            console.log(`正在转换 mbox 文件: ${filePath}`);
+
+            const buffer = await this.readInput(filePath, meta);
+            const messages = emailParser.splitMbox(buffer);
+            const split = !!meta.partsDir;
+            const width = Math.max(4, String(messages.length).length);
+            meta.engine = 'email';
+            meta.messages = messages.length;
+
+            const fileName = path.basename(filePath);
+            let markdown = `# ${fileName}\n\n`;
+            const parts = [];
+
+            for (const [index, raw] of messages.entries()) {
+                const message = emailParser.parseMessage(raw);
+                const subject = message.subject || '（无主题）';
+                const fields = this.getEmailFields(message);
+
+                if (split) {
+                    const name = `${String(index + 1).padStart(width, '0')}-${this.toPartName(subject)}.md`;
+                    parts.push({
+                        name,
+                        markdown: `# ${subject}\n\n${await this.formatEmailMessage(message, meta, 2)}`,
+                        meta: { ...fields, title: subject, messages: undefined }
+                    });
+                    const summary = [message.from, fields.date instanceof Date ? fields.date.toISOString() : fields.date]
+                        .filter(Boolean).join('，');
+                    markdown += `- [${subject}](${this.getAssetsLink(meta.partsDir)}/${this.getAssetsLink(name)})${summary ? ` — ${summary}` : ''}\n`;
+                } else {
+                    markdown += `## ${subject}\n\n${this.formatEmailHeaders(message)}`;
+                    markdown += await this.formatEmailMessage(message, meta, 3);
+                }
+            }
+
+            if (split) {
+                meta.parts = parts;
+                markdown += '\n';
+            }
+            if (messages.length === 0) {
+                markdown += '*mbox 文件中没有邮件*\n\n';
+            }
+
+            console.log(`mbox 转换成功: ${filePath}（${messages.length} 封邮件）`);
+            return markdown;
+        } catch (error) {
+            if (error.code === 'ABORT_ERR') throw error;
+            throw new Error(`mbox转换失败: ${error.message}`);
+        }
+    }
+
+    // 写入 front matter 的邮件头
+    getEmailFields(message) {
+        return {
+            from: message.from || undefined,
+            to: message.to || undefined,
+            date: message.date || undefined,
+            subject: message.subject || undefined
+        };
+    }
+
+    // 没有 front matter 时（mbox 依次输出、作为附件的邮件）以列表形式列出邮件头
+    formatEmailHeaders(message, withSubject = false) {
+        const date = message.date instanceof Date ? message.date.toISOString() : message.date;
+        const lines = [
+            ['主题', withSubject && message.subject],
+            ['发件人', message.from],
+            ['收件人', message.to],
+            ['抄送', message.cc],
+            ['日期', date]
+        ]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `- **${label}**: ${value}`);
+        return lines.length > 0 ? `${lines.join('\n')}\n\n` : '';
+    }
+
+    /**
+     * 邮件正文和附件：优先使用 email.body 指定的正文类型，HTML 经 turndown 转换；
+     * 引用的历史邮件按 email.quotes 折叠或去除；附件列在 "附件" 小节，支持的格式递归转换
+     * @param {number} level 正文中最高一级标题和附件小节的标题级别
+     */
+    async formatEmailMessage(message, meta, level) {
+        const options = this.options.email;
+        const depth = meta.emailDepth || 0;
+        const inline = new Set();
+
+        let body;
+        const useHtml = message.html && (options.body === 'html' || !message.text.trim());
+        if (useHtml) {
+            // 正文中以 cid: 引用的内嵌图片
+            const html = await this.replaceAsync(message.html, /(["'])cid:([^"']+)\1/gi, async (match, quote, cid) => {
+                const attachment = message.attachments.find(item => item.contentId === cid);
+                if (!attachment) return match;
+                inline.add(attachment);
+                const link = this.getEmailImageLink(attachment, meta);
+                return link ? `${quote}${link}${quote}` : match;
+            });
+            body = this.turndownService.turndown(html);
+        } else {
+            // 纯文本中行首的 # 不是标题
+            body = message.text.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').replace(/^(\s*)#/gm, '$1\\#');
+        }
+        body = this.shiftHeadings(this.formatEmailQuotes(body, options.quotes).trim(), level);
+
+        let markdown = body ? `${body}\n\n` : '';
+
+        const attachments = message.attachments.filter(attachment => !inline.has(attachment) &&
+            !(attachment.inline && attachment.contentType.startsWith('image/') && useHtml));
+        if (attachments.length > 0) {
+            const heading = '#'.repeat(level);
+            markdown += `${heading} 附件\n\n`;
+            markdown += attachments.map((attachment) => {
+                const size = attachment.content.length < 1024
+                    ? `${attachment.content.length} B`
+                    : `${(attachment.content.length / 1024).toFixed(1)} KB`;
+                return `- ${attachment.fileName || '（未命名）'}（${attachment.contentType}，${size}）`;
+            }).join('\n') + '\n\n';
+
+            if (options.attachments && depth < options.maxDepth) {
+                for (const attachment of attachments) {
+                    const converted = await this.convertEmailAttachment(attachment, meta, level + 2);
+                    if (converted !== null) {
+                        markdown += `${heading}# 附件: ${attachment.fileName}\n\n${converted}\n\n`;
+                    }
+                }
+            }
+        }
+
+        return markdown;
+    }
+
+    // 按 email.quotes 处理引用：fold 折叠在 <details> 中，strip 去除，keep 保留原样
+    formatEmailQuotes(body, mode) {
+        if (mode === 'keep') {
+            return body;
+        }
+        return emailParser.splitQuotes(body).map((segment) => {
+            if (!segment.quoted) return segment.text;
+            if (mode === 'strip') return '';
+            const quoted = segment.text.split('\n')
+                .map(line => /^\s*>/.test(line) ? line : `> ${line}`.trimEnd())
+                .join('\n');
+            return `<details>\n<summary>引用的邮件</summary>\n\n${quoted}\n\n</details>`;
+        }).filter(Boolean).join('\n\n');
+    }
+
+    // 支持的附件递归转换，返回去掉文件名标题后的 Markdown；不支持或转换失败时返回 null
+    async convertEmailAttachment(attachment, meta, level) {
+        const fileName = path.basename(attachment.fileName || '');
+        const ext = path.extname(fileName).toLowerCase();
+        if (!fileName || !this.isSupported(fileName)) {
+            return null;
+        }
+
+        // 附件中的图片写入同一个 .assets 目录；附件不再拆分为分文件
+        const attachmentMeta = {
+            signal: meta.signal,
+            assetsDir: meta.assetsDir,
+            emailDepth: (meta.emailDepth || 0) + 1
+        };
+        let inputPath = fileName;
+        let tempDir = null;
+
+        try {
+            console.log(`转换附件: ${fileName}`);
+            if (this.isHeavy(fileName)) {
+                tempDir = await this.createTempDir();
+                inputPath = path.join(tempDir, fileName);
+                await fs.writeFile(inputPath, attachment.content);
+            } else {
+                attachmentMeta.buffer = attachment.content;
+            }
+
+            const markdown = await this.supportedFormats[ext](inputPath, attachmentMeta);
+            for (const asset of attachmentMeta.assets || []) {
+                meta.assets = meta.assets || [];
+                if (!meta.assets.some(item => item.name === asset.name)) {
+                    meta.assets.push(asset);
+                }
+            }
+
+            const body = markdown.startsWith(`# ${fileName}\n`)
+                ? markdown.slice(fileName.length + 3)
+                : markdown;
+            return this.shiftHeadings(body.trim(), level);
+        } catch (error) {
+            if (error.code === 'ABORT_ERR') throw error;
+            console.warn(`附件转换失败 ${fileName}: ${error.message}`);
+            return `*附件转换失败: ${error.message}*`;
+        } finally {
+            if (tempDir) {
+                await fs.remove(tempDir).catch(() => {
+                    // 忽略清理错误
+                });
+            }
+        }
+    }
+
+    // 内嵌图片按 email.images 处理（同 DOCX）
+    getEmailImageLink(attachment, meta) {
+        const mode = this.options.email.images;
+        if (mode === 'dropped') {
+            return '';
+        }
+        if (mode === 'extracted' && meta.assetsDir) {
+            return this.addAsset(meta, attachment.content, attachment.contentType);
+        }
+        return `data:${attachment.contentType};base64,${attachment.content.toString('base64')}`;
+    }
+
+    // String.prototype.replace 的异步版本，替换函数依次执行
+    async replaceAsync(text, regex, replacer) {
+        const replacements = [];
+        for (const match of text.matchAll(regex)) {
+            replacements.push(await replacer(...match));
+        }
+        let index = 0;
+        return text.replace(regex, () => replacements[index++]);
+    }
+
+    async convertStructuredData(filePath, meta = {}) {
+        try {
+            console.log(`正在转换结构化数据: ${filePath}`);
+
+            const format = STRUCTURED_FORMATS[path.extname(filePath).toLowerCase()];
+            // XML 声明中的 encoding 与 HTML 的 <meta charset> 一样参与编码识别
+            const text = await this.readText(filePath, meta, { html: format === 'xml' });
+            const fileName = path.basename(filePath);
+            meta.engine = format;
+
+            let data;
+            try {
+                data = format === 'json' ? structuredData.parseJson(text)
+                    : format === 'yaml' ? structuredData.parseYaml(text)
+                    : structuredData.parseXml(text);
+            } catch (error) {
+                console.warn(`${fileName} 无法解析，按代码块输出: ${error.message}`);
+                return `# ${fileName}\n\n${this.formatCodeBlock(text, format)}`;
+            }
+
+            const body = this.formatStructuredValue(data, 2, 0);
+            return `# ${fileName}\n\n${body === null ? this.formatCodeBlock(text, format) : body}`;
+        } catch (error) {
+            throw new Error(`结构化数据转换失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 嵌套结构转为 Markdown：对象中的简单值先输出为 "- **键**: 值" 列表，嵌套的对象和数组再成为下一级标题；
+     * 字段相同的对象数组输出为表格，简单值数组输出为列表。超过 data.maxDepth 的部分、
+     * 无法整理成表格且元素过多的数组输出为 JSON 代码块
+     * @returns {string|null} 根节点不是对象或数组时返回 null，由调用方输出原文
+     */
+    formatStructuredValue(value, level, depth) {
+        const options = this.options.data;
+        const isScalar = item => item === null || typeof item !== 'object';
+        const isScalarList = item => Array.isArray(item) && item.every(isScalar) && item.length <= 10;
+        const formatScalar = item => item === null || item === undefined ? '' : String(item);
+        const heading = title => level <= 6 ? `${'#'.repeat(level)} ${title}\n\n` : `**${title}**\n\n`;
+
+        if (isScalar(value)) {
+            return depth === 0 ? null : `${formatScalar(value)}\n\n`;
+        }
+        if (depth >= options.maxDepth) {
+            return this.formatCodeBlock(JSON.stringify(value, null, 2), 'json');
+        }
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                return '*（空）*\n\n';
+            }
+            if (value.every(isScalar)) {
+                if (value.length > options.maxListItems) {
+                    return this.formatCodeBlock(JSON.stringify(value, null, 2), 'json');
+                }
+                return value.map(item => `- ${formatScalar(item).replace(/\n/g, '  \n  ')}`).join('\n') + '\n\n';
+            }
+
+            // 字段大致相同的对象数组整理为表格，列数过多时逐条输出为字段列表
+            const keys = Array.from(new Set(value.flatMap(item => isScalar(item) || Array.isArray(item) ? [] : Object.keys(item))));
+            const tabular = value.every(item => !isScalar(item) && !Array.isArray(item) &&
+                Object.values(item).every(field => isScalar(field) || isScalarList(field)) &&
+                Object.keys(item).length * 2 >= keys.length);
+            if (tabular) {
+                const cell = field => excelReader.escapeCell(Array.isArray(field) ? field.map(formatScalar).join(', ') : formatScalar(field));
+                const rows = value.map(item => keys.map(key => cell(item[key])));
+                const header = keys.map(key => excelReader.escapeCell(key));
+                if (keys.length > options.maxTableColumns) {
+                    return this.formatAsRecords(header, rows, keys.length);
+                }
+                return this.formatAsTable([header, ...rows], keys.length, text => text) + '\n';
+            }
+
+            if (value.length > options.maxListItems) {
+                return this.formatCodeBlock(JSON.stringify(value, null, 2), 'json');
+            }
+            return value.map((item, index) => heading(`第 ${index + 1} 项`) +
+                this.formatStructuredValue(item, level + 1, depth + 1)).join('');
+        }
+
+        const entries = Object.entries(value);
+        if (entries.length === 0) {
+            return '*（空）*\n\n';
+        }
+
+        // 简单值先合并为一个列表，嵌套内容再按出现顺序输出为小节。
+        // 简单值如果排在小节之后，会被读成上一个小节的内容
+        const list = [];
+        let sections = '';
+        for (const [key, field] of entries) {
+            if (isScalar(field) || isScalarList(field)) {
+                const text = Array.isArray(field) ? field.map(formatScalar).join(', ') : formatScalar(field);
+                list.push(`- **${key}**: ${text.replace(/\n/g, '  \n  ')}`.trimEnd());
+            } else {
+                sections += heading(key) + this.formatStructuredValue(field, level + 1, depth + 1);
+            }
+        }
+        return (list.length > 0 ? `${list.join('\n')}\n\n` : '') + sections;
+    }
+
+    async convertMarkdown(filePath, meta = {}) {
+        try {
+            const text = (await this.readText(filePath, meta)).replace(/\r\n?/g, '\n');
+            const fileName = path.basename(filePath);
+            const options = this.options.markdown;
+            meta.engine = 'markdown';
+
+            // 原有的 front matter 从正文中去掉，字段交给 buildFrontMatter 合并
+            const { data, body, length } = frontMatter.parse(text);
+            if (length > 0) {
+                const yaml = text.slice(0, length).replace(/^---\n/, '').replace(/\n---[ \t]*\n?$/, '');
+                try {
+                    const parsed = structuredData.parseYaml(yaml);
+                    meta.frontMatter = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : data;
+                } catch (error) {
+                    console.warn(`${fileName} 的 front matter 无法完整解析，只保留简单字段: ${error.message}`);
+                    meta.frontMatter = data;
+                }
+            }
+
+            let markdown = body;
+            if (options.links) {
+                markdown = await this.rewriteMarkdownLinks(markdown, filePath, meta);
+            }
+
+            const normalized = markdownNormalizer.normalizeHeadings(markdown, fileName);
+            const title = meta.frontMatter && meta.frontMatter.title;
+            meta.title = typeof title === 'string' && title ? title : normalized.title || undefined;
+            return normalized.markdown;
+        } catch (error) {
+            throw new Error(`Markdown转换失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 改写相对链接：指向其他支持格式的链接改为转换后的 .md（目录结构与源目录相同），
+     * 引用的本地图片复制到 .assets 目录。convertBuffer 转换时没有源目录，图片链接保持不变；
+     * 解析符号链接后位于源目录（未指定时为文件所在目录）之外的图片不复制
+     */
+    async rewriteMarkdownLinks(markdown, filePath, meta) {
+        const parseLink = (url) => {
+            // 绝对地址、站内绝对路径和页内锚点不处理
+            if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return null;
+            const [, file, suffix] = url.match(/^([^?#]*)(.*)$/);
+            let decoded = file;
+            try {
+                decoded = decodeURIComponent(file);
+            } catch (error) {
+                // 不规范的编码按原样使用
+            }
+            return file ? { file, decoded, suffix } : null;
+        };
+
+        const images = new Map();
+        const baseDir = meta.buffer ? null : path.dirname(filePath);
+        if (this.options.markdown.images === 'extracted' && baseDir) {
+            const root = await PathSandbox.realpath(path.resolve(meta.sourceDir || baseDir));
+            for (const url of markdownNormalizer.listLinks(markdown)) {
+                const link = parseLink(url);
+                const contentType = link && mime.lookup(link.decoded);
+                if (!contentType || !contentType.startsWith('image/') || images.has(url)) continue;
+                const imagePath = await PathSandbox.realpath(path.resolve(baseDir, link.decoded));
+                if (!PathSandbox.isInside(root, imagePath)) {
+                    console.warn(`${path.basename(filePath)} 引用的图片不在源目录内，保持原链接: ${link.decoded}`);
+                    continue;
+                }
+                try {
+                    const buffer = await fs.readFile(imagePath);
+                    images.set(url, this.addAsset(meta, buffer, contentType));
+                } catch (error) {
+                    console.warn(`${path.basename(filePath)} 引用的图片无法读取: ${link.decoded}`);
+                }
+            }
+        }
+
+        return markdownNormalizer.rewriteLinks(markdown, (url) => {
+            if (images.has(url)) return images.get(url);
+            const link = parseLink(url);
+            if (!link || !this.isSupported(link.decoded)) return null;
+            // 与 generateOutputPath 的命名一致：有同名源文件时保留扩展名（util.c → util.c.md）
+            if (baseDir && this.hasNameCollision(path.resolve(baseDir, link.decoded))) {
+                return `${link.file}.md${link.suffix}`;
+            }
+            if (/\.(md|markdown)$/i.test(link.decoded)) return null;
+            return `${link.file.slice(0, link.file.length - path.extname(link.file).length)}.md${link.suffix}`;
+        });
+    }
+
+    async convertSourceCode(filePath, meta = {}) {
+        try {
+            const text = await this.readText(filePath, meta);
+            const ext = path.extname(filePath).toLowerCase();
+            const fileName = path.basename(filePath);
+            const { language } = sourceCode.LANGUAGES[ext];
+            meta.engine = 'code';
+            meta.language = language;
+
+            // 顶层定义各为一节，定义之外的代码（导入、初始化等）在开头的放在文件标题下，其余放在"其他代码"中
+            const segments = this.options.code.split
+                ? sourceCode.splitSymbols(text, ext)
+                : [{ kind: null, name: null, code: text }];
+            let markdown = `# ${fileName}\n\n`;
+            segments.forEach((segment, index) => {
+                if (segment.name) {
+                    markdown += `## ${segment.kind} \`${segment.name}\`\n\n`;
+                } else if (index > 0) {
+                    markdown += '## 其他代码\n\n';
+                }
+                markdown += this.formatCodeBlock(segment.code.replace(/^\s*\n/, ''), language);
+            });
+            return markdown;
+        } catch (error) {
+            throw new Error(`源代码转换失败: ${error.message}`);
+        }
+    }
+
+    // 代码块：内容中含有 ``` 时使用更长的围栏
+    formatCodeBlock(code, language = '') {
+        const longest = Math.max(2, ...(code.match(/`{3,}/g) || []).map(fence => fence.length));
+        const fence = '`'.repeat(longest + 1);
+        return `${fence}${language}\n${code.replace(/\s+$/, '')}\n${fence}\n\n`;
+    }
+
+    // 辅助方法：格式化为Markdown表格；escape 用于已经格式化过的单元格
+    formatAsTable(data, maxCols, escape = text => this.escapeMarkdown(text)) {
         if (data.length === 0) return '';
         
         let markdown = '';
@@ -651,7 +2351,7 @@ except Exception as e:
         markdown += '| ';
         for (let i = 0; i < maxCols; i++) {
             const header = headers[i] || `列${i + 1}`;
-            markdown += `${this.escapeMarkdown(String(header))} | `;
+            markdown += `${escape(String(header))} | `;
         }
         markdown += '\n';
         
@@ -668,7 +2368,7 @@ except Exception as e:
             markdown += '| ';
             for (let i = 0; i < maxCols; i++) {
                 const cell = row[i] || '';
-                markdown += `${this.escapeMarkdown(String(cell))} | `;
+                markdown += `${escape(String(cell))} | `;
             }
             markdown += '\n';
         }
@@ -702,38 +2402,21 @@ except Exception as e:
         return markdown;
     }
 
-    // 辅助方法：简单的CSV行解析
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
+    // 辅助方法：每条记录输出为 "列名: 值" 列表，空值省略；firstNumber 为第一条数据在文件中的行序号
+    formatAsRecords(header, rows, maxCols, firstNumber = 1) {
+        let markdown = '';
         
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // 转义的引号
-                    current += '"';
-                    i++; // 跳过下一个引号
-                } else {
-                    // 切换引号状态
-                    inQuotes = !inQuotes;
+        rows.forEach((row, index) => {
+            markdown += `**第${firstNumber + index}行**:\n`;
+            for (let i = 0; i < maxCols; i++) {
+                if (row[i]) {
+                    markdown += `- ${header[i] || `列${i + 1}`}: ${row[i]}\n`;
                 }
-            } else if (char === ',' && !inQuotes) {
-                // 字段分隔符
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
             }
-        }
-        
-        // 添加最后一个字段
-        result.push(current.trim());
+            markdown += '\n';
+        });
         
-        return result;
+        return markdown;
     }
 
     // 辅助方法：转义Markdown特殊字符
@@ -0,0 +1,295 @@
+// 邮件解析（RFC 5322 / MIME）：头部编码字、multipart、base64 与 quoted-printable、各种字符集，以及 mbox 拆分
+
+const textEncoding = require('./encoding');
+
+// 用指定字符集解码，字符集缺失或不支持时自动识别
+function decodeCharset(buffer, charset) {
+    if (charset) {
+        try {
+            return new TextDecoder(charset.trim().toLowerCase()).decode(buffer);
+        } catch (error) {
+            // 不支持的字符集，改为自动识别
+        }
+    }
+    return textEncoding.decode(buffer).text;
+}
+
+function decodeQuotedPrintable(text, header = false) {
+    const source = header ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+    const bytes = [];
+    for (let i = 0; i < source.length; i++) {
+        const hex = source[i] === '=' && source.slice(i + 1, i + 3);
+        if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            // 非 ASCII 字符按 UTF-8 保留（不规范但常见的 8bit 内容）
+            bytes.push(...Buffer.from(source[i], 'utf8'));
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 2047 编码字：=?charset?B|Q?text?=，相邻编码字之间的空白忽略
+function decodeWords(value) {
+    return value
+        .replace(/(\?=)\s+(=\?)/g, '$1$2')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const buffer = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : decodeQuotedPrintable(text, true);
+            // charset 可能带有语言后缀，如 utf-8*zh
+            return decodeCharset(buffer, charset.split('*')[0]);
+        });
+}
+
+// 头部：续行合并，键名转为小写，同名头部保留多个值
+function parseHeaders(text) {
+    const headers = new Map();
+    for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const match = line.match(/^([^:\s]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const name = match[1].toLowerCase();
+        if (!headers.has(name)) headers.set(name, []);
+        headers.get(name).push(match[2].trim());
+    }
+    return headers;
+}
+
+/**
+ * 解析 Content-Type / Content-Disposition 等带参数的头部，支持 RFC 2231 的 name*=charset''value 和 name*0*= 分段
+ * @returns {{value: string, params: object}}
+ */
+function parseParams(header = '') {
+    const [value, ...rest] = header.split(';');
+    const params = {};
+    const extended = {};
+
+    for (const item of rest) {
+        const match = item.match(/^\s*([^=\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|(.*))\s*$/);
+        if (!match) continue;
+        const key = match[1].toLowerCase();
+        const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+
+        const section = key.match(/^([^*]+)\*(?:(\d+)\*?)?$/);
+        if (section) {
+            const name = section[1];
+            extended[name] = extended[name] || [];
+            extended[name][Number(section[2] || 0)] = { raw, encoded: key.endsWith('*') };
+        } else {
+            params[key] = decodeWords(raw);
+        }
+    }
+
+    for (const [name, sections] of Object.entries(extended)) {
+        const joined = sections.filter(Boolean);
+        const first = joined[0].encoded && joined[0].raw.match(/^([^']*)'[^']*'(.*)$/);
+        const charset = first ? first[1] : 'utf-8';
+        if (first) joined[0] = { ...joined[0], raw: first[2] };
+        const bytes = joined.map(part => part.encoded
+            ? Buffer.from(part.raw.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+            : Buffer.from(part.raw, 'utf8'));
+        params[name] = decodeCharset(Buffer.concat(bytes), charset);
+    }
+
+    return { value: value.trim().toLowerCase(), params };
+}
+
+function decodeBody(buffer, transferEncoding = '') {
+    const encoding = transferEncoding.trim().toLowerCase();
+    if (encoding === 'base64') {
+        return Buffer.from(buffer.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    }
+    if (encoding === 'quoted-printable') {
+        return decodeQuotedPrintable(buffer.toString('latin1'));
+    }
+    return buffer;
+}
+
+// 头部与正文之间的空行；未编码的 8bit 头部（UTF-8 或 GBK）同样能够识别
+function splitHeader(buffer) {
+    const match = buffer.toString('latin1').match(/\r?\n\r?\n/);
+    if (!match) {
+        return { header: decodeCharset(buffer), body: Buffer.alloc(0) };
+    }
+    return {
+        header: decodeCharset(buffer.slice(0, match.index)),
+        body: buffer.slice(match.index + match[0].length)
+    };
+}
+
+// 按 boundary 拆分 multipart 正文，忽略前言和结语
+function splitMultipart(body, boundary) {
+    const text = body.toString('latin1');
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let position = text.startsWith(delimiter) ? 0 : text.indexOf(`\n${delimiter}`);
+
+    while (position !== -1) {
+        const start = text.indexOf('\n', position + 1);
+        if (start === -1 || text.startsWith(`${delimiter}--`, position + (text[position] === '\n' ? 1 : 0))) break;
+
+        let next = text.indexOf(`\n${delimiter}`, start);
+        const end = next === -1 ? text.length : next;
+        parts.push(body.slice(start + 1, text[end - 1] === '\r' ? end - 1 : end));
+        position = next;
+    }
+    return parts;
+}
+
+/**
+ * 解析 MIME 实体树，把正文和附件收集到 result 中
+ */
+function collectParts(buffer, result, depth = 0) {
+    const { header, body } = splitHeader(buffer);
+    const headers = parseHeaders(header);
+    const get = name => (headers.get(name) || [])[0] || '';
+    const contentType = parseParams(get('content-type') || 'text/plain');
+    const disposition = parseParams(get('content-disposition'));
+    const fileName = disposition.params.filename || contentType.params.name || '';
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < 20) {
+        for (const part of splitMultipart(body, contentType.params.boundary)) {
+            collectParts(part, result, depth + 1);
+        }
+        return;
+    }
+
+    const content = decodeBody(body, get('content-transfer-encoding'));
+    const isAttachment = disposition.value === 'attachment' || !!fileName ||
+        !/^text\/(plain|html)$/.test(contentType.value);
+
+    if (!isAttachment) {
+        const text = decodeCharset(content, contentType.params.charset);
+        const key = contentType.value === 'text/html' ? 'html' : 'text';
+        // 同类型的多个正文部分（如被附件隔开的纯文本）依次拼接
+        result[key] = result[key] ? `${result[key]}\n\n${text}` : text;
+        return;
+    }
+
+    const contentId = get('content-id').replace(/^<|>$/g, '');
+    result.attachments.push({
+        fileName: fileName || (contentType.value === 'message/rfc822' ? 'message.eml' : ''),
+        contentType: contentType.value,
+        contentId,
+        inline: disposition.value === 'inline' || (!disposition.value && !!contentId),
+        content
+    });
+}
+
+/**
+ * 解析一封邮件
+ * @param {Buffer} buffer .eml 文件内容
+ * @returns {{headers: Map, from: string, to: string, cc: string, date: Date|string, subject: string,
+ *   text: string, html: string, attachments: Array<{fileName, contentType, contentId, inline, content: Buffer}>}}
+ */
+function parseMessage(buffer) {
+    const { header } = splitHeader(buffer);
+    const headers = parseHeaders(header);
+    const get = name => decodeWords((headers.get(name) || []).join(', '));
+
+    const result = { text: '', html: '', attachments: [] };
+    collectParts(buffer, result);
+
+    const rawDate = get('date');
+    const date = rawDate ? new Date(rawDate) : null;
+
+    return {
+        headers,
+        from: get('from'),
+        to: get('to'),
+        cc: get('cc'),
+        date: date && !isNaN(date.getTime()) ? date : rawDate,
+        subject: get('subject'),
+        text: result.text,
+        html: result.html,
+        attachments: result.attachments
+    };
+}
+
+/**
+ * 拆分 mbox：每封邮件以行首的 "From " 分隔行开始，正文中转义的 ">From " 还原
+ * @returns {Buffer[]}
+ */
+function splitMbox(buffer) {
+    const text = buffer.toString('latin1');
+    const starts = [];
+    const regex = /(^|\n)From [^\n]*\n/g;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        starts.push({ index: match.index + match[1].length, body: match.index + match[0].length });
+    }
+
+    return starts.map((start, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1].index : text.length;
+        const message = text.slice(start.body, end).replace(/^>(>*From )/gm, '$1');
+        return Buffer.from(message, 'latin1');
+    });
+}
+
+// 引用前的说明行，如 "On Mon, Jan 1, 2024, Alice <a@example.com> wrote:"、"在 2024年1月1日，张三 写道："
+const ATTRIBUTION_REGEX = /^(On\b.*|.*)\bwrote:\s*$|^(在|于)?.*写道\s*[:：]\s*$/i;
+// Outlook 等客户端在回复内容之后附上的原邮件（转发的邮件属于正文，不在此列）
+const ORIGINAL_SEPARATOR_REGEX = /^-{2,}\s*(Original Message|原始邮件|原始郵件)\s*-{2,}$/i;
+const ORIGINAL_FROM_REGEX = /^(From|发件人|寄件者)\s*[:：]/i;
+const ORIGINAL_HEADER_REGEX = /^(Sent|Date|发送时间|日期|寄件日期)\s*[:：]/i;
+
+/**
+ * 把正文分为回复内容和引用内容：以 > 开头的行（连同前面的说明行），
+ * 以及 "-----Original Message-----" 或 "From: … Sent: …" 之后的全部内容
+ * @param {string} text 纯文本或 Markdown 正文
+ * @returns {Array<{quoted: boolean, text: string}>}
+ */
+function splitQuotes(text) {
+    const lines = text.split('\n');
+    const plain = line => line.replace(/[*_]/g, '').trim();
+    const isQuote = line => /^\s*>/.test(line || '');
+    const nextLine = (index) => {
+        let next = index + 1;
+        while (next < lines.length && !lines[next].trim()) next++;
+        return lines[next];
+    };
+    const startsOriginal = (index) => {
+        const line = plain(lines[index]);
+        if (ORIGINAL_SEPARATOR_REGEX.test(line)) return true;
+        if (/^_{10,}$/.test(lines[index].trim())) return ORIGINAL_FROM_REGEX.test(plain(nextLine(index) || ''));
+        return ORIGINAL_FROM_REGEX.test(line) &&
+            lines.slice(index + 1, index + 5).some(item => ORIGINAL_HEADER_REGEX.test(plain(item)));
+    };
+
+    const segments = [];
+    const push = (quoted, line) => {
+        const last = segments[segments.length - 1];
+        if (last && last.quoted === quoted) {
+            last.lines.push(line);
+        } else {
+            segments.push({ quoted, lines: [line] });
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const last = segments[segments.length - 1];
+        if (startsOriginal(i)) {
+            lines.slice(i).forEach(item => push(true, item));
+            break;
+        }
+        if (isQuote(line) ||
+            (ATTRIBUTION_REGEX.test(plain(line)) && isQuote(nextLine(i))) ||
+            (!line.trim() && last && last.quoted && isQuote(nextLine(i)))) {
+            push(true, line);
+        } else {
+            push(false, line);
+        }
+    }
+
+    return segments
+        .map(segment => ({ quoted: segment.quoted, text: segment.lines.join('\n').trim() }))
+        .filter(segment => segment.text);
+}
+
+module.exports = {
+    parseMessage,
+    splitMbox,
+    splitQuotes
+};
@@ -0,0 +1,126 @@
+// 文本编码识别：BOM → HTML <meta charset> → UTF-8 校验 → 中文编码统计判断 → windows-1252
+
+const BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// 最常用的汉字（简体及对应的繁体写法）。用错误的编码解码时得到的多是生僻字，
+// 按常用字所占比例即可区分 GBK/GB18030 与 Big5
+const COMMON_CHARS = new Set(Array.from(
+    '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日军者意无力它与长把机十民第公此已工使情明性知全三又关点正业外将两高间由问很最重并物手应战向头文体政美相见被利什二等产或新己制身果加西月话合回特代内信表化老给世位次度门任常先海通教儿原东声提立及比员解水名真论处走义各入几口认条平系气题活更别打女变四神总何电数安少报才结反受目太量再感建务做接必场件计管期市直资命山金指许统区保至队形社便空决治展科司五基书非则听白却界达光放强即像难且权思王象完设式色路记南品住告类求据程北边死张该交规万取拉格望觉术领共确传师观清今切院让识候带导争运笑飞风步改收根干造言联持组每济车亲极林服快办议往元士证近失转夫令准布始怎存未远叫台单影具字爱击流备兵连调深商算质团集百需价花华城石级整府离况请技际约示复病息究线似官火断精满支视消越器容照须九增研写称企八功包片史委查轻易早曾除农找装广显引历首医局突专费号尽另周较注语仅考落青随选列武红响虽推势参希古众构房半节土投某案黑维划致陈律足态护七兴派孩验责营星够章音跟志底站严例防族供效续施留讲型料终答紧黄绝奇察母京段依批群项故按河米围江织害双境客纪采举杀父苏密低朝友诉止细愿千值仍男钱破网热助倒育属坐限船脸职速刻乐否刚威状率甚独球般普怕弹校苦创假久错承印晚试股拿脑预谁益阳若哪微继送急血惊伤素药适波夜省初喜卫源食险待述陆习置居劳财环排福纳欢警获模充负云停木游龙树疑层冷洲冲射略范竟句室异激汉村策演简罪判担州静退既衣您宗积余痛检差富灵协角占配征修皮挥胜降阶审坚善读超免压银买养怀执副乱抗犯追帮宣岁航优怪香田铁控税左右份穿艺背阵草脚概恶块顿敢守酒岛托户烈洋款靠评版宝座释景顾弟登货互付慢换闻危忙核暗介坏讨良序升监临亮露永呼味野架域沙括鱼杂误湾减编测败屋梦散温困渐封救贵缺楼县移画班智耳短掌恐遗固席谢遇康虑幸均销钟诗藏赶剧票损忽巨旧端探湖录叶春乡附吸予礼港雨板庭妇归饭额含顺输招婚脱补谓督油疗旅泽材灭逐莫笔亡鲜词圣择寻厂睡博烟授诺岸堂旁宫借禁阴园谋避荣孙逃束跳顶镇雪练迫篇肉馆遍凡础洞卷坦牛宁纸诸训私庄祖丝' +
+    '這個們來為國說時會對於著過發後裡種經麼學現當沒動還進樣開從實軍與長機關點業將兩間問題應戰頭體見產話回內給門員處條氣結報術傳師觀讓識帶導爭運飛風聯組濟車親極辦議證轉準單遠愛擊連調質團價華離況請際約復線斷滿視須增寫稱廣顯歷醫專費號盡較語僅隨選響雖勢參眾構節維劃陳態護興驗責營紀採舉殺蘇細願錢網熱屬職劇險陸習歡環為與區萬權圖發'
+));
+
+const CJK_REGEX = /[一-鿿]/g;
+
+// 把 <meta charset> 等标签中的编码名称规范化为 TextDecoder 支持的名称，不支持时返回 null
+function normalizeLabel(label) {
+    try {
+        return new TextDecoder(label.trim()).encoding;
+    } catch (error) {
+        return null;
+    }
+}
+
+function detectBom(buffer) {
+    const bom = BOMS.find(item => item.bytes.every((byte, i) => buffer[i] === byte));
+    return bom ? bom.encoding : null;
+}
+
+// HTML 前 4KB 中的 <meta charset="gbk"> 或 <meta http-equiv="Content-Type" content="text/html; charset=gbk">，
+// 以及 XML 声明中的 encoding
+function detectMetaCharset(buffer) {
+    const head = buffer.slice(0, 4096).toString('latin1');
+    const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i) ||
+        head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w-]+)["']/i);
+    return match ? normalizeLabel(match[1]) : null;
+}
+
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 常用字在解码结果中所占的比例；无法解码时返回 -1
+function scoreChinese(buffer, encoding) {
+    let text;
+    try {
+        text = new TextDecoder(encoding, { fatal: true }).decode(buffer);
+    } catch (error) {
+        return -1;
+    }
+    const chars = text.match(CJK_REGEX) || [];
+    if (chars.length === 0) return 0;
+    return chars.filter(char => COMMON_CHARS.has(char)).length / chars.length;
+}
+
+// GB18030 的四字节序列：第二个字节为 0x30-0x39
+function hasGb18030FourByte(buffer) {
+    for (let i = 0; i < buffer.length - 3; i++) {
+        const byte = buffer[i];
+        if (byte < 0x80) continue;
+        if (byte >= 0x81 && byte <= 0xFE && buffer[i + 1] >= 0x30 && buffer[i + 1] <= 0x39) {
+            return true;
+        }
+        i++;    // 跳过双字节字符的第二个字节
+    }
+    return false;
+}
+
+/**
+ * 识别编码
+ * @param {Buffer} buffer 文件内容
+ * @param {object} options html 为 true 时检查 <meta charset>
+ * @returns {{encoding: string, source: string}} source 为 bom / meta / utf8 / statistics / fallback
+ */
+function detect(buffer, options = {}) {
+    const bom = detectBom(buffer);
+    if (bom) {
+        return { encoding: bom, source: 'bom' };
+    }
+
+    if (options.html) {
+        const meta = detectMetaCharset(buffer);
+        // 声明为 UTF-8 但内容不是合法 UTF-8 的旧网页很常见，此时继续判断
+        if (meta && (meta !== 'utf-8' || isValidUtf8(buffer))) {
+            return { encoding: meta, source: 'meta' };
+        }
+    }
+
+    if (isValidUtf8(buffer)) {
+        return { encoding: 'utf-8', source: 'utf8' };
+    }
+
+    // 分别按 GB18030 和 Big5 解码，选择常用字比例高的一个
+    const gbScore = scoreChinese(buffer, 'gb18030');
+    const big5Score = scoreChinese(buffer, 'big5');
+    // 两者都解码不出常用字时多半不是中文，按西文旧编码（Latin-1 的超集）处理
+    if (gbScore <= 0 && big5Score <= 0) {
+        return { encoding: 'windows-1252', source: 'fallback' };
+    }
+    if (big5Score > gbScore) {
+        return { encoding: 'big5', source: 'statistics' };
+    }
+    return { encoding: hasGb18030FourByte(buffer) ? 'gb18030' : 'gbk', source: 'statistics' };
+}
+
+/**
+ * 识别编码并解码为字符串（去掉 BOM）
+ * @returns {{text: string, encoding: string, source: string}}
+ */
+function decode(buffer, options = {}) {
+    const { encoding, source } = detect(buffer, options);
+    const text = new TextDecoder(encoding).decode(buffer);
+    return { text, encoding, source };
+}
+
+module.exports = {
+    detect,
+    decode
+};
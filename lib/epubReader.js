@@ -0,0 +1,143 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// 章节 XHTML 中常见 &nbsp; 等 HTML 实体，xmldom 会给出警告，目录解析不受影响
+const parseXml = xml => new DOMParser({
+    errorHandler: { warning: () => {}, error: () => {} }
+}).parseFromString(xml, 'text/xml');
+
+// 按本地名称查找元素（忽略命名空间前缀）
+const children = (node, name) => Array.from(node ? node.childNodes || [] : [])
+    .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+const child = (node, name) => children(node, name)[0] || null;
+
+function descendants(node, name) {
+    const result = [];
+    const walk = (current) => {
+        for (const item of children(current)) {
+            if (item.localName === name) result.push(item);
+            walk(item);
+        }
+    };
+    walk(node);
+    return result;
+}
+
+const text = node => (node ? node.textContent : '').replace(/\s+/g, ' ').trim();
+
+// 相对于 basePath 所在目录的链接解析为 zip 内的路径，返回 { path, fragment }
+function resolveHref(basePath, href) {
+    const [file, fragment = ''] = String(href).split('#');
+    let resolved = basePath;
+    if (file) {
+        try {
+            resolved = path.posix.normalize(path.posix.join(path.posix.dirname(basePath), decodeURIComponent(file)));
+        } catch (error) {
+            resolved = path.posix.normalize(path.posix.join(path.posix.dirname(basePath), file));
+        }
+    }
+    return { path: resolved, fragment };
+}
+
+// EPUB 3 导航文档：<nav epub:type="toc"> 中嵌套的 <ol><li><a>
+function readNav(doc, navPath) {
+    const navs = descendants(doc, 'nav');
+    const nav = navs.find(item => /\btoc\b/.test(item.getAttribute('epub:type') || item.getAttribute('type') || '')) || navs[0];
+    const entries = [];
+
+    const walk = (list, level) => {
+        for (const item of children(list, 'li')) {
+            const link = child(item, 'a') || child(item, 'span');
+            const href = link && link.getAttribute('href');
+            if (link && text(link)) {
+                entries.push({ title: text(link), level, ...(href ? resolveHref(navPath, href) : { path: null, fragment: '' }) });
+            }
+            const sublist = child(item, 'ol') || child(item, 'ul');
+            if (sublist) walk(sublist, level + 1);
+        }
+    };
+    walk(child(nav, 'ol') || child(nav, 'ul'), 1);
+    return entries;
+}
+
+// EPUB 2 的 NCX：navMap 中嵌套的 navPoint
+function readNcx(doc, ncxPath) {
+    const entries = [];
+    const walk = (node, level) => {
+        for (const point of children(node, 'navPoint')) {
+            const label = text(child(child(point, 'navLabel'), 'text'));
+            const content = child(point, 'content');
+            if (label && content) {
+                entries.push({ title: label, level, ...resolveHref(ncxPath, content.getAttribute('src')) });
+            }
+            walk(point, level + 1);
+        }
+    };
+    walk(descendants(doc, 'navMap')[0], 1);
+    return entries;
+}
+
+/**
+ * 读取电子书
+ * @returns {Promise<{title: string, creator: string, language: string,
+ *   toc: Array<{title, level, path, fragment}>, spine: Array<{path, html}>, readMedia: Function}>}
+ *   路径均为 zip 内的完整路径，spine 按阅读顺序排列
+ */
+async function readBook(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const container = zip.file('META-INF/container.xml');
+    if (!container) {
+        throw new Error('不是有效的 EPUB 文件（缺少 META-INF/container.xml）');
+    }
+
+    const rootfile = descendants(parseXml(await container.async('string')), 'rootfile')[0];
+    const opfPath = rootfile && rootfile.getAttribute('full-path');
+    if (!opfPath || !zip.file(opfPath)) {
+        throw new Error('EPUB 中找不到 OPF 文件');
+    }
+
+    const opf = parseXml(await zip.file(opfPath).async('string'));
+    const metadata = descendants(opf, 'metadata')[0];
+    const manifest = new Map(descendants(opf, 'item').map(item => [item.getAttribute('id'), {
+        path: resolveHref(opfPath, item.getAttribute('href')).path,
+        mediaType: item.getAttribute('media-type'),
+        properties: item.getAttribute('properties') || ''
+    }]));
+
+    // 阅读顺序以 spine 为准；linear="no" 的条目（如注释页）同样保留，放在原位置
+    const spineNode = descendants(opf, 'spine')[0];
+    const spine = [];
+    for (const itemref of children(spineNode, 'itemref')) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        if (item && zip.file(item.path)) {
+            spine.push({ path: item.path, html: await zip.file(item.path).async('string') });
+        }
+    }
+
+    // 目录：优先使用 EPUB 3 导航文档，其次 NCX
+    let toc = [];
+    const nav = Array.from(manifest.values()).find(item => /\bnav\b/.test(item.properties));
+    const ncx = manifest.get(spineNode && spineNode.getAttribute('toc')) ||
+        Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (nav && zip.file(nav.path)) {
+        toc = readNav(parseXml(await zip.file(nav.path).async('string')), nav.path);
+    }
+    if (toc.length === 0 && ncx && zip.file(ncx.path)) {
+        toc = readNcx(parseXml(await zip.file(ncx.path).async('string')), ncx.path);
+    }
+
+    return {
+        title: text(descendants(metadata, 'title')[0]),
+        creator: text(descendants(metadata, 'creator')[0]),
+        language: text(descendants(metadata, 'language')[0]),
+        toc,
+        spine,
+        readMedia: target => zip.file(target) ? zip.file(target).async('nodebuffer') : null
+    };
+}
+
+module.exports = {
+    readBook,
+    resolveHref
+};
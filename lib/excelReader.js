@@ -0,0 +1,256 @@
+const path = require('path');
+const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
+
+// ExcelJS 只能读取 OOXML 格式，.xls/.xlsb 使用 SheetJS
+const EXCELJS_FORMATS = new Set(['.xlsx', '.xlsm']);
+
+const DEFAULT_OPTIONS = {
+    includeHidden: false,           // 是否转换隐藏的工作表
+    dateFormat: 'YYYY-MM-DD',       // 日期格式
+    dateTimeFormat: 'YYYY-MM-DD HH:mm', // 带时间的日期格式
+    mergedCells: 'repeat',          // repeat 合并单元格覆盖的每个位置都填入相同内容，first 只保留左上角
+    formulas: 'result',             // result 输出计算结果，formula 输出公式，both 两者都输出
+    sectionChars: 1500              // 大表按行拆成多个小节，每节表格的大致字符数（0 不拆分）
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+// Excel 中的日期没有时区，ExcelJS/SheetJS 按 UTC 解析，这里也按 UTC 输出
+function formatDate(date, options) {
+    if (isNaN(date.getTime())) return '';
+    const hasTime = date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds();
+    const tokens = {
+        YYYY: date.getUTCFullYear(),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds())
+    };
+    return (hasTime ? options.dateTimeFormat : options.dateFormat)
+        .replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// 数字格式中含年月日时的视为日期（去掉引号中的文字和 [红色] 之类的修饰）
+function isDateFormat(numFmt) {
+    if (!numFmt || /general/i.test(numFmt)) return false;
+    return /[ymdh]/i.test(numFmt.replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''));
+}
+
+// Excel 序列号转日期（1900 日期系统）
+const serialToDate = serial => new Date(Math.round((serial - 25569) * 86400000));
+
+// 表格单元格中的文本：转义竖线，换行改为 <br>
+const escapeCell = text => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*\r?\n\s*/g, '<br>')
+    .trim();
+
+function formatLink(text, url) {
+    const label = escapeCell(text || url).replace(/[[\]]/g, '\\$&');
+    return `[${label}](${String(url).replace(/[ ()<>|]/g, char => encodeURIComponent(char))})`;
+}
+
+function formatFormula(formula, result, options) {
+    const code = `\`=${escapeCell(formula)}\``;
+    if (options.formulas === 'formula' || result === '') return code;
+    if (options.formulas === 'both') return `${result} (${code})`;
+    return result;
+}
+
+// ExcelJS 单元格值转为 Markdown 文本
+function formatExcelJSValue(value, cell, options) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value, options);
+    if (typeof value === 'number') {
+        return isDateFormat(cell.numFmt) ? formatDate(serialToDate(value), options) : String(value);
+    }
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'string') return escapeCell(value);
+
+    if (value.richText) {
+        return escapeCell(value.richText.map(part => part.text).join(''));
+    }
+    if (value.hyperlink) {
+        const text = value.text && value.text.richText
+            ? value.text.richText.map(part => part.text).join('')
+            : value.text;
+        return formatLink(text, value.hyperlink);
+    }
+    if (value.formula !== undefined || value.sharedFormula !== undefined) {
+        const result = value.result && value.result.error
+            ? value.result.error
+            : formatExcelJSValue(value.result, cell, options);
+        return formatFormula(cell.formula || value.formula || value.sharedFormula, result, options);
+    }
+    if (value.error) return value.error;
+    return escapeCell(cell.text || '');
+}
+
+async function readWithExcelJS(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    return workbook.worksheets.map((worksheet) => {
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+            const cells = [];
+            row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+                // 合并单元格覆盖的位置留空，稍后按 mergedCells 选项统一处理
+                if (cell.isMerged && cell.master !== cell) return;
+                cells[colNumber - 1] = { value: cell.value, cell };
+            });
+            rows.push({ number: rowNumber, cells });
+        });
+
+        return {
+            name: worksheet.name,
+            hidden: worksheet.state !== 'visible',
+            rows,
+            merges: (worksheet.model.merges || []).map(decodeRange),
+            format: (entry, options) => formatExcelJSValue(entry.value, entry.cell, options)
+        };
+    });
+}
+
+// "A1:C2" 转为从 1 开始的行列范围
+function decodeRange(range) {
+    const { s, e } = XLSX.utils.decode_range(range);
+    return { top: s.r + 1, left: s.c + 1, bottom: e.r + 1, right: e.c + 1 };
+}
+
+// SheetJS 单元格转为 Markdown 文本
+function formatSheetJSCell(cell, options) {
+    let text = '';
+    if (cell.t === 'd' && cell.v instanceof Date) {
+        text = formatDate(cell.v, options);
+    } else if (cell.t === 'n' && cell.z && isDateFormat(String(cell.z))) {
+        text = formatDate(serialToDate(cell.v), options);
+    } else if (cell.t === 'b') {
+        text = cell.v ? 'TRUE' : 'FALSE';
+    } else if (cell.t === 'e') {
+        text = cell.w || '#ERROR';
+    } else if (cell.v !== undefined && cell.v !== null) {
+        text = escapeCell(cell.t === 'n' ? String(cell.v) : (cell.w || cell.v));
+    }
+
+    if (cell.l && cell.l.Target) {
+        return formatLink(cell.w || cell.v || '', cell.l.Target);
+    }
+    if (cell.f) {
+        return formatFormula(cell.f, text, options);
+    }
+    return text;
+}
+
+function readWithSheetJS(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, cellFormula: true, cellNF: true });
+    const sheetProps = (workbook.Workbook && workbook.Workbook.Sheets) || [];
+
+    return workbook.SheetNames.map((name, index) => {
+        const worksheet = workbook.Sheets[name];
+        const rows = [];
+
+        if (worksheet['!ref']) {
+            const range = XLSX.utils.decode_range(worksheet['!ref']);
+            for (let r = range.s.r; r <= range.e.r; r++) {
+                const cells = [];
+                for (let c = range.s.c; c <= range.e.c; c++) {
+                    const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+                    if (cell && (cell.v !== undefined || cell.f)) {
+                        cells[c] = { cell };
+                    }
+                }
+                if (cells.length > 0) {
+                    rows.push({ number: r + 1, cells });
+                }
+            }
+        }
+
+        return {
+            name,
+            hidden: !!(sheetProps[index] && sheetProps[index].Hidden),
+            rows,
+            merges: (worksheet['!merges'] || []).map(({ s, e }) => ({
+                top: s.r + 1, left: s.c + 1, bottom: e.r + 1, right: e.c + 1
+            })),
+            format: (entry, options) => formatSheetJSCell(entry.cell, options)
+        };
+    });
+}
+
+/**
+ * 读取工作簿，每个工作表整理为按行排列的 Markdown 单元格文本
+ * @returns {Promise<{engine: string, sheets: Array<{name, hidden, rows: Array<{number, cells: string[]}>,
+ *   merges: Array<{top, left, bottom, right}>}>}>} 行号、列号均从 1 开始
+ */
+async function readWorkbook(buffer, fileName, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const ext = path.extname(fileName).toLowerCase();
+
+    let engine = 'xlsx';
+    let sheets = null;
+    if (EXCELJS_FORMATS.has(ext)) {
+        try {
+            sheets = await readWithExcelJS(buffer);
+            engine = 'exceljs';
+        } catch (error) {
+            console.warn(`ExcelJS 读取失败，改用 SheetJS: ${error.message}`);
+        }
+    }
+    if (!sheets) {
+        sheets = readWithSheetJS(buffer);
+    }
+
+    return {
+        engine,
+        sheets: sheets.map(sheet => ({
+            name: sheet.name,
+            hidden: sheet.hidden,
+            merges: sheet.merges,
+            rows: expandMerges(sheet, config)
+        }))
+    };
+}
+
+// 格式化单元格，并按 mergedCells 选项填充合并区域
+function expandMerges(sheet, options) {
+    const rows = sheet.rows.map(row => ({
+        number: row.number,
+        cells: Array.from(row.cells, entry => entry ? sheet.format(entry, options) : '')
+    }));
+
+    if (options.mergedCells === 'repeat' && sheet.merges.length > 0) {
+        const byNumber = new Map(rows.map(row => [row.number, row]));
+        for (const merge of sheet.merges) {
+            const master = byNumber.get(merge.top);
+            const text = master ? master.cells[merge.left - 1] || '' : '';
+            if (!text) continue;
+
+            for (let r = merge.top; r <= merge.bottom; r++) {
+                let row = byNumber.get(r);
+                if (!row) {
+                    row = { number: r, cells: [] };
+                    byNumber.set(r, row);
+                    rows.push(row);
+                }
+                for (let c = merge.left; c <= merge.right; c++) {
+                    row.cells[c - 1] = text;
+                }
+            }
+        }
+        rows.sort((a, b) => a.number - b.number);
+    }
+
+    return rows
+        .map(row => ({ number: row.number, cells: Array.from(row.cells, cell => cell || '') }))
+        .filter(row => row.cells.some(cell => cell !== ''));
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    readWorkbook,
+    escapeCell
+};
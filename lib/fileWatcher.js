@@ -2,63 +2,103 @@ const chokidar = require('chokidar');
 const fs = require('fs-extra');
 const path = require('path');
 const { EventEmitter } = require('events');
+const ConversionQueue = require('./conversionQueue');
+const ConversionManifest = require('./conversionManifest');
+const { matchesAny } = require('./pathPatterns');
+
+class PruneError extends Error {
+    constructor(message) {
+        super(message);
+        this.statusCode = 409;
+    }
+}
 
 class FileWatcher extends EventEmitter {
-    constructor(sourceDir, targetDir, converter) {
+    constructor(sourceDir, targetDir, converter, options = {}) {
         super();
         this.sourceDir = sourceDir;
         this.targetDir = targetDir;
         this.converter = converter;
+        // 清理孤立输出的配置：allowlist 中的 glob 受保护，onStartup 为 true 时监控就绪后自动清理
+        this.pruneOptions = { allowlist: [], onStartup: false, ...(options.prune || {}) };
+        // 忽略规则：匹配这些 glob（相对源目录）的文件不转换
+        this.ignore = options.ignore || [];
+        // 源文件删除后等待多久再删除输出，期间出现相同内容的新文件则视为移动
+        this.moveDetectionDelay = options.moveDetectionDelay !== undefined ? options.moveDetectionDelay : 2000;
+        this.pendingDeletes = new Map(); // 源文件路径 -> 延迟删除定时器
         this.watcher = null;
         this.isWatching = false;
-        this.fileHashes = new Map(); // 存储文件哈希用于增量检测
-        this.processing = new Set(); // 避免重复处理
-        this.hashFilePath = path.join(process.cwd(), 'data', '.filehashes'); // 哈希文件存储路径
-        this.loadFileHashes(); // 启动时加载已保存的哈希
+        // 转换清单：记录源文件哈希、输出哈希、转换引擎版本和选项指纹，用于增量检测
+        this.manifestPath = options.manifestPath || null;
+        this.manifest = this.createManifest();
+        this.queueOptions = options.queue || {};
+        this.queue = this.createQueue();
     }
 
-    // 加载保存的文件哈希
-    async loadFileHashes() {
-        try {
-            // 确保数据目录存在
-            await fs.ensureDir(path.dirname(this.hashFilePath));
-            
-            if (await fs.pathExists(this.hashFilePath)) {
-                const hashData = await fs.readFile(this.hashFilePath, 'utf8');
-                const hashObject = JSON.parse(hashData);
-                
-                // 将对象转换为 Map
-                this.fileHashes = new Map(Object.entries(hashObject));
-                console.log(`已加载 ${this.fileHashes.size} 个文件哈希记录`);
-            } else {
-                console.log('未找到哈希文件，使用空的哈希缓存');
-            }
-        } catch (error) {
-            console.warn('加载文件哈希失败，使用空的哈希缓存:', error.message);
-            this.fileHashes = new Map();
+    // 每个源根目录一份转换清单，未指定路径时保存在输出目录下，源目录可以是只读的
+    createManifest() {
+        const manifestPath = this.manifestPath || path.join(this.targetDir, '.docconv-manifest.json');
+        if (!this.manifestPath) {
+            this.migrateSourceManifest(manifestPath);
         }
+        const manifest = new ConversionManifest(manifestPath, this.sourceDir);
+        // 兼容旧版：导入 data/.filehashes 中属于当前源目录的记录
+        this.manifestReady = manifest.load(path.join(process.cwd(), 'data', '.filehashes'));
+        return manifest;
     }
-    
-    // 保存文件哈希到磁盘
-    async saveFileHashes() {
+
+    // 兼容旧版：清单原先默认保存在源目录下，新位置还没有清单时复制过来
+    migrateSourceManifest(manifestPath) {
+        const legacyPath = path.join(this.sourceDir, '.docconv-manifest.json');
         try {
-            // 确保数据目录存在
-            await fs.ensureDir(path.dirname(this.hashFilePath));
-            
-            // 将 Map 转换为对象
-            const hashObject = Object.fromEntries(this.fileHashes);
-            
-            // 写入文件
-            await fs.writeFile(this.hashFilePath, JSON.stringify(hashObject, null, 2), 'utf8');
-            console.log(`已保存 ${this.fileHashes.size} 个文件哈希记录`);
+            if (legacyPath !== manifestPath && !fs.pathExistsSync(manifestPath) && fs.pathExistsSync(legacyPath)) {
+                fs.copySync(legacyPath, manifestPath);
+                console.log(`已将转换清单从源目录迁移到 ${manifestPath}`);
+            }
         } catch (error) {
-            console.error('保存文件哈希失败:', error.message);
+            console.warn('迁移源目录下的转换清单失败:', error.message);
         }
     }
 
-    updateSourceDir(newSourceDir) {
-        this.stop();
+    // 转换任务队列，状态保存在转换清单旁，按清单文件名命名（如 .docconv-manifest.queue.json），
+    // 多个配置的清单放在同一目录时各自有一份队列状态
+    createQueue() {
+        const manifestName = path.basename(this.manifest.manifestPath, '.json').replace(/^\./, '');
+        const queue = new ConversionQueue({
+            statePath: path.join(path.dirname(this.manifest.manifestPath), `.${manifestName}.queue.json`),
+            ...this.queueOptions,
+            isHeavy: (filePath) => this.converter.isHeavy(filePath),
+            handler: (job, signal) => this.convertSource(job.filePath, job.force, signal)
+        });
+        queue.on('jobUpdated', (job) => this.emit('jobUpdated', job));
+        queue.on('failed', (job, error) => {
+            console.error(`处理文件失败 ${job.filePath}:`, error.message);
+            this.emit('fileProcessed', {
+                success: false,
+                inputPath: job.filePath,
+                error: error.message,
+                attempts: job.attempts,
+                action: 'failed'
+            });
+        });
+        return queue;
+    }
+
+    isIgnored(filePath) {
+        const relativePath = path.relative(this.sourceDir, filePath);
+        return this.ignore.length > 0 && matchesAny(relativePath, this.ignore);
+    }
+
+    // 切换源目录：等待旧队列停止并保存后删除其状态，旧目录下的任务不再处理
+    async updateSourceDir(newSourceDir) {
+        await this.stop();
+        if (this.queue.options.statePath) {
+            await fs.remove(this.queue.options.statePath);
+        }
         this.sourceDir = newSourceDir;
+        this.converter.sourceNames.clear();
+        this.manifest = this.createManifest();
+        this.queue = this.createQueue();
         this.start();
     }
 
@@ -68,9 +108,10 @@ class FileWatcher extends EventEmitter {
         }
 
         console.log(`开始监控目录: ${this.sourceDir}`);
+        this.queue.resume();
         
         this.watcher = chokidar.watch(this.sourceDir, {
-            ignored: /(^|[\/\\])\../, // 忽略隐藏文件
+            ignored: [/(^|[\/\\])\../, (filePath) => this.isIgnored(filePath)], // 忽略隐藏文件和忽略规则匹配的文件
             persistent: true,
             ignoreInitial: false,
             followSymlinks: false,
@@ -88,107 +129,291 @@ class FileWatcher extends EventEmitter {
             .on('ready', () => {
                 console.log('文件监控已就绪');
                 this.isWatching = true;
+                
+                // 清理服务停止期间删除的源文件所对应的输出
+                if (this.pruneOptions.onStartup) {
+                    this.prune().catch(error => {
+                        console.error('启动时清理孤立输出失败:', error.message);
+                        this.emit('error', error);
+                    });
+                }
             });
-    }    stop() {
-        if (this.watcher) {
-            this.watcher.close();
-            this.watcher = null;
-        }
+    }    // 停止监控，等待运行中的转换结束并保存队列状态和转换清单后返回
+    async stop() {
+        const watcher = this.watcher;
+        this.watcher = null;
         this.isWatching = false;
-        // 保存哈希到磁盘
-        this.saveFileHashes().catch(error => {
-            console.error('停止时保存文件哈希失败:', error.message);
-        });
+        // 尚未执行的延迟删除交给下次启动时的清理处理
+        this.pendingDeletes.forEach(timer => clearTimeout(timer));
+        this.pendingDeletes.clear();
+        if (watcher) {
+            await watcher.close();
+        }
+        // 暂停队列并保存队列状态，未完成的任务在下次启动时继续
+        try {
+            await this.queue.stop();
+        } catch (error) {
+            console.error('停止时保存转换队列失败:', error.message);
+        }
+        // 保存转换清单到磁盘
+        await this.manifest.save();
         console.log('文件监控已停止');
     }
 
     async handleFileChange(filePath, eventType) {
-        if (!this.converter.isSupported(filePath)) {
-            return;
-        }
-
-        if (this.processing.has(filePath)) {
+        if (!this.converter.isSupported(filePath) || this.isIgnored(filePath)) {
             return;
         }
 
         try {
-            this.processing.add(filePath);
-            
-            // 检查文件是否需要处理（基于修改时间和哈希）
-            const needsProcessing = await this.needsProcessing(filePath);
+            if (eventType === 'added') {
+                await this.refreshNameCollisions(filePath);
+            }
             
-            if (needsProcessing) {
-                await this.processFile(filePath);
+            // 新增的文件可能是移动或重命名，直接搬移已有输出，无需重新转换
+            if (eventType === 'added' && await this.tryMove(filePath)) {
+                return;
             }
+            
+            // 加入转换队列，是否需要处理在任务运行时判断
+            await this.queue.add(filePath);
         } catch (error) {
-            console.error(`处理文件失败 ${filePath}:`, error.message);
-            this.emit('error', error);
-        } finally {
-            this.processing.delete(filePath);
+            // 失败已通过队列的 failed 事件上报
         }
     }
 
     async handleFileDelete(filePath) {
-        if (!this.converter.isSupported(filePath)) {
+        if (!this.converter.isSupported(filePath) || this.isIgnored(filePath)) {
             return;
         }
 
+        // 取消尚未运行的转换任务
+        this.queue.remove(filePath);
+
+        // 延迟删除输出：如果随后出现内容相同的新文件，视为移动
+        clearTimeout(this.pendingDeletes.get(filePath));
+        this.pendingDeletes.set(filePath, setTimeout(() => {
+            this.pendingDeletes.delete(filePath);
+            this.deleteOutputs(filePath);
+        }, this.moveDetectionDelay));
+    }
+
+    async deleteOutputs(filePath) {
         try {
+            // 延迟期间文件又被恢复，或哈希记录已被移动检测认领
+            if (await fs.pathExists(filePath)) {
+                return;
+            }
+            
             const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
+            await this.removeOutput(filePath, outputPath);
             
-            if (await fs.pathExists(outputPath)) {
-                await fs.unlink(outputPath);
-                console.log(`删除对应的Markdown文件: ${outputPath}`);
-                
-                this.emit('fileProcessed', {
-                    inputPath: filePath,
-                    outputPath,
-                    action: 'deleted',
-                    success: true
-                });
+            // 从转换清单中移除
+            if (this.manifest.delete(filePath)) {
+                await this.manifest.save();
             }
-              // 从哈希缓存中移除
-            this.fileHashes.delete(filePath);
-            // 保存哈希到磁盘
-            await this.saveFileHashes();
+            
+            // 同名的其他源文件可能不再重名，输出改回 <名称>.md
+            await this.refreshNameCollisions(filePath);
         } catch (error) {
             console.error(`删除文件失败 ${filePath}:`, error.message);
             this.emit('error', error);
         }
     }
 
+    async removeOutput(inputPath, outputPath) {
+        // 删除分块、图片目录等附属文件
+        for (const sidecarPath of this.converter.getSidecarPaths(outputPath)) {
+            await fs.remove(sidecarPath);
+        }
+        
+        if (await fs.pathExists(outputPath)) {
+            await fs.unlink(outputPath);
+            console.log(`删除对应的Markdown文件: ${outputPath}`);
+            
+            this.emit('fileProcessed', {
+                inputPath,
+                outputPath,
+                action: 'deleted',
+                success: true
+            });
+        }
+    }
+
+    /**
+     * 同一目录下增删同名不同扩展名的源文件（如 util.c 旁新增 util.h）后，其他同名源文件的输出名称随之变化
+     * （util.md ↔ util.c.md）：删除旧名称的输出并重新转换
+     */
+    async refreshNameCollisions(filePath) {
+        const dir = path.dirname(filePath);
+        const { name } = path.parse(filePath);
+        let items;
+        try {
+            items = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            this.converter.setSourceNames(dir, null);
+            return;
+        }
+        
+        const files = items
+            .filter(item => !item.isDirectory() && !item.name.startsWith('.') && this.converter.isSupported(item.name))
+            .map(item => path.join(dir, item.name))
+            .filter(source => !this.isIgnored(source));
+        this.converter.setSourceNames(dir, files.map(source => path.basename(source)));
+        
+        // 旧名称只可能属于名称为 name 或以 "name." 开头的源文件
+        const sources = files.filter(source => path.parse(source).name === name || path.parse(source).name.startsWith(`${name}.`));
+        const outputs = new Set(sources.map(source => this.converter.generateOutputPath(source, this.sourceDir, this.targetDir)));
+        
+        for (const siblingPath of sources) {
+            if (siblingPath === filePath || path.parse(siblingPath).name !== name) continue;
+            
+            const outputPath = this.converter.generateOutputPath(siblingPath, this.sourceDir, this.targetDir);
+            const previousName = path.basename(outputPath) === `${name}.md` ? `${path.basename(siblingPath)}.md` : `${name}.md`;
+            const previousOutputPath = path.join(path.dirname(outputPath), previousName);
+            if (!outputs.has(previousOutputPath)) {
+                await this.removeOutput(siblingPath, previousOutputPath);
+            }
+            this.queue.add(siblingPath).catch(() => {
+                // 失败已通过队列的 failed 事件上报
+            });
+        }
+    }
+
+    /**
+     * 根据内容哈希检测移动/重命名：若某个已转换的源文件已不存在、且哈希与新文件相同，
+     * 则把它的输出和附属文件移动到新位置
+     * @returns {Promise<boolean>} 是否按移动处理
+     */
+    async tryMove(filePath) {
+        const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
+        
+        // 新位置已有输出时按普通变更处理
+        if (await fs.pathExists(outputPath)) {
+            return false;
+        }
+        
+        await this.manifestReady;
+        const hash = await this.getFileHash(filePath);
+        let previousPath = null;
+        
+        for (const [candidate, entry] of this.manifest.list()) {
+            if (entry.sourceHash !== hash || candidate === filePath) continue;
+            if (await fs.pathExists(candidate)) continue;
+            
+            const candidateOutput = this.converter.generateOutputPath(candidate, this.sourceDir, this.targetDir);
+            if (await fs.pathExists(candidateOutput)) {
+                previousPath = candidate;
+                break;
+            }
+        }
+        
+        if (!previousPath) {
+            return false;
+        }
+        
+        const previousOutputPath = this.converter.generateOutputPath(previousPath, this.sourceDir, this.targetDir);
+        
+        // 移动期间暂停旧文件的延迟删除；移动失败时恢复，由它照常清理旧输出
+        const pendingDelete = this.pendingDeletes.has(previousPath);
+        clearTimeout(this.pendingDeletes.get(previousPath));
+        this.pendingDeletes.delete(previousPath);
+        
+        try {
+            const { outputHash } = await this.converter.moveOutput(previousPath, filePath, previousOutputPath, outputPath, {
+                sourceDir: this.sourceDir
+            });
+            
+            // 移动成功后再把旧记录转给新路径
+            const entry = this.manifest.get(previousPath);
+            this.manifest.delete(previousPath);
+            this.manifest.set(filePath, { ...entry, outputHash });
+            await this.manifest.save();
+            
+            console.log(`检测到文件移动: ${previousPath} -> ${filePath}`);
+            this.emit('fileProcessed', {
+                inputPath: filePath,
+                previousInputPath: previousPath,
+                outputPath,
+                previousOutputPath,
+                action: 'moved',
+                success: true
+            });
+            return true;
+        } catch (error) {
+            // 移动失败时回退为重新转换；旧记录保留，旧输出交给延迟删除或下次清理
+            console.warn(`移动输出失败，将重新转换 ${filePath}:`, error.message);
+            if (pendingDelete && !this.pendingDeletes.has(previousPath)) {
+                this.handleFileDelete(previousPath);
+            }
+            return false;
+        }
+    }
+
     async needsProcessing(filePath, force = false) {
         if (force) {
             return true;
         }
 
+        return (await this.getChangeReason(filePath)) !== null;
+    }
+
+    /**
+     * 判断文件为什么需要重新转换（只读，不会修改任何文件或缓存）
+     * @returns {Promise<string|null>} output-missing / sidecar-missing / modified / hash-changed /
+     *   converter-changed / options-changed / output-changed / error，无需处理时为 null
+     */
+    async getChangeReason(filePath) {
         try {
+            await this.manifestReady;
+            await this.converter.ready;
+            
             const stats = await fs.stat(filePath);
             const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
             
             // 检查输出文件是否存在
             if (!(await fs.pathExists(outputPath))) {
-                return true;
+                return 'output-missing';
+            }
+            
+            // 启用分块时，分块文件缺失也需要重新处理
+            if (this.converter.chunker && !(await fs.pathExists(this.converter.getChunksPath(outputPath)))) {
+                return 'sidecar-missing';
             }
             
             // 检查输出文件的修改时间
             const outputStats = await fs.stat(outputPath);
             if (stats.mtime > outputStats.mtime) {
-                return true;
+                return 'modified';
             }
-              // 检查文件哈希（可选，用于更精确的检测）
+            
+            // 检查文件哈希（可选，用于更精确的检测）
             const currentHash = await this.getFileHash(filePath);
-            const cachedHash = this.fileHashes.get(filePath);
+            const entry = this.manifest.get(filePath);
             
-            if (currentHash !== cachedHash) {
-                // 注意：这里只检测变化，不更新缓存，缓存会在成功处理后更新
-                return true;
+            if (!entry || currentHash !== entry.sourceHash) {
+                // 注意：这里只检测变化，不更新清单，清单会在成功处理后更新
+                return 'hash-changed';
             }
             
-            return false;
+            // 转换器版本或选项变化时，即使源文件未变也需要重新生成
+            const fingerprint = this.converter.getConversionFingerprint(filePath);
+            if (entry.engineVersion && entry.engineVersion !== fingerprint.engineVersion) {
+                return 'converter-changed';
+            }
+            if (entry.optionsFingerprint && entry.optionsFingerprint !== fingerprint.optionsFingerprint) {
+                return 'options-changed';
+            }
+            
+            // 输出被其他程序修改过
+            if (entry.outputHash && entry.outputHash !== await this.getFileHash(outputPath)) {
+                return 'output-changed';
+            }
+            
+            return null;
         } catch (error) {
             // 出错时默认需要处理
-            return true;
+            return 'error';
         }
     }
 
@@ -204,61 +429,65 @@ class FileWatcher extends EventEmitter {
         }
     }
 
-    async processFile(filePath, force = false) {
+    // 通过转换队列处理单个文件，返回转换结果
+    processFile(filePath, force = false) {
+        return this.queue.add(filePath, { force });
+    }
+
+    // 实际执行转换，由队列调用；失败时抛出异常，由队列决定是否重试。signal 用于取消外部工具
+    async convertSource(filePath, force = false, signal = undefined) {
         if (!force && !await this.needsProcessing(filePath, force)) {
             return {
                 skipped: true,
+                inputPath: filePath,
                 reason: 'No changes detected'
             };
         }
 
-        try {
-            const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
-            const result = await this.converter.convertFile(filePath, outputPath);
-              // 更新哈希缓存
-            const hash = await this.getFileHash(filePath);
-            this.fileHashes.set(filePath, hash);
-            // 保存哈希到磁盘
-            await this.saveFileHashes();
-            
-            this.emit('fileProcessed', {
-                ...result,
-                action: 'converted'
-            });
-            
-            return result;
-        } catch (error) {
-            const errorResult = {
-                success: false,
-                inputPath: filePath,
-                error: error.message,
-                action: 'failed'
-            };
-            
-            this.emit('fileProcessed', errorResult);
-            throw error;
-        }
+        const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
+        const hash = await this.getFileHash(filePath);
+        const result = await this.converter.convertFile(filePath, outputPath, {
+            sourceDir: this.sourceDir,
+            sourceHash: hash,
+            signal
+        });
+        
+        // 更新转换清单
+        const fingerprint = this.converter.getConversionFingerprint(filePath);
+        this.manifest.set(filePath, {
+            sourceHash: hash,
+            outputHash: result.outputHash,
+            engine: result.engine,
+            encoding: result.encoding,
+            converter: fingerprint.converter,
+            engineVersion: fingerprint.engineVersion,
+            optionsFingerprint: fingerprint.optionsFingerprint,
+            convertedAt: new Date().toISOString()
+        });
+        await this.manifest.save();
+        
+        this.emit('fileProcessed', {
+            ...result,
+            action: 'converted'
+        });
+        
+        return result;
     }
 
     async processAllFiles(force = false) {
         console.log('开始处理所有支持的文件...');
-        const results = [];
         
         try {
             const files = await this.getAllSupportedFiles();
             
-            for (const filePath of files) {
-                try {
-                    const result = await this.processFile(filePath, force);
-                    results.push(result);
-                } catch (error) {
-                    results.push({
-                        success: false,
-                        inputPath: filePath,
-                        error: error.message
-                    });
-                }
-            }
+            // 全部加入队列，由队列控制并发
+            const results = await Promise.all(files.map(filePath =>
+                this.processFile(filePath, force).catch(error => ({
+                    success: false,
+                    inputPath: filePath,
+                    error: error.message
+                }))
+            ));
             
             console.log(`批量处理完成，共处理 ${results.length} 个文件`);
             return results;
@@ -269,9 +498,37 @@ class FileWatcher extends EventEmitter {
     }
 
     async getAllSupportedFiles() {
+        const files = await this.listFiles(this.sourceDir);
+        const supported = files.filter(filePath => this.converter.isSupported(filePath) && !this.isIgnored(filePath));
+        this.indexSourceNames(supported);
+        return supported;
+    }
+
+    /**
+     * 按目录记录完整扫描得到的源文件名，生成输出路径时据此判断同名源文件，不必每个文件读取一次目录；
+     * 已经没有源文件的目录删除记录
+     */
+    indexSourceNames(files) {
+        const byDir = new Map();
+        for (const filePath of files) {
+            const dir = path.resolve(path.dirname(filePath));
+            if (!byDir.has(dir)) byDir.set(dir, []);
+            byDir.get(dir).push(path.basename(filePath));
+        }
+        for (const dir of this.converter.sourceNames.keys()) {
+            const relative = path.relative(this.sourceDir, dir);
+            if (!byDir.has(dir) && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+                this.converter.setSourceNames(dir, null);
+            }
+        }
+        byDir.forEach((fileNames, dir) => this.converter.setSourceNames(dir, fileNames));
+    }
+
+    // 递归列出目录下的所有文件，与监控规则一致跳过隐藏文件
+    async listFiles(rootDir) {
         const files = [];
         
-        if (!(await fs.pathExists(this.sourceDir))) {
+        if (!(await fs.pathExists(rootDir))) {
             return files;
         }
 
@@ -279,19 +536,255 @@ class FileWatcher extends EventEmitter {
             const items = await fs.readdir(dir, { withFileTypes: true });
             
             for (const item of items) {
+                if (item.name.startsWith('.')) continue;
+                
                 const fullPath = path.join(dir, item.name);
                 
                 if (item.isDirectory()) {
                     await walk(fullPath);
-                } else if (item.isFile() && this.converter.isSupported(fullPath)) {
+                } else if (item.isFile()) {
                     files.push(fullPath);
                 }
             }
         };
 
-        await walk(this.sourceDir);
+        await walk(rootDir);
         return files;
     }
+
+    // 源目录不存在或无法读取时（共享目录未挂载、配置写错），所有输出都会被误判为孤立输出
+    async assertSourceReadable() {
+        try {
+            const stats = await fs.stat(this.sourceDir);
+            if (!stats.isDirectory()) {
+                throw new Error('不是目录');
+            }
+            await fs.readdir(this.sourceDir);
+        } catch (error) {
+            throw new PruneError(`源目录不存在或无法读取，无法判断孤立输出: ${this.sourceDir} (${error.message})`);
+        }
+    }
+
+    // 目标目录中没有对应源文件的输出（含分块等附属文件）
+    async findOrphanedOutputs() {
+        await this.assertSourceReadable();
+        const expected = new Set();
+        for (const filePath of await this.getAllSupportedFiles()) {
+            const outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
+            expected.add(outputPath);
+            this.converter.getSidecarPaths(outputPath).forEach(sidecarPath => expected.add(sidecarPath));
+        }
+
+        // 图片目录等附属目录中的文件同样属于对应的输出
+        const outputs = await this.listFiles(this.targetDir);
+        return outputs.filter(outputPath => !expected.has(outputPath) && !expected.has(path.dirname(outputPath)));
+    }
+
+    // 受保护的输出：配置中的 allowlist 加上目标目录下 .pruneallow 文件中的每行 glob
+    async getPruneAllowlist() {
+        const allowlist = [...this.pruneOptions.allowlist];
+        const allowFile = path.join(this.targetDir, '.pruneallow');
+
+        if (await fs.pathExists(allowFile)) {
+            const lines = (await fs.readFile(allowFile, 'utf8')).split(/\r?\n/);
+            allowlist.push(...lines.map(line => line.trim()).filter(line => line && !line.startsWith('#')));
+        }
+
+        return allowlist;
+    }
+
+    /**
+     * 类似 rsync --delete：删除目标目录中没有对应源文件的输出，
+     * 并清理空目录和已不存在的源文件的哈希记录。源目录无法读取，或将要删除输出目录中的全部文件时中止
+     * @param {object} options dryRun 为 true 时只返回将要删除的文件；force 为 true 时允许删除全部输出
+     */
+    async prune(options = {}) {
+        const dryRun = !!options.dryRun;
+        const allowlist = await this.getPruneAllowlist();
+        const result = { dryRun, deleted: [], protected: [], failed: [] };
+        const orphans = await this.findOrphanedOutputs();
+
+        if (!dryRun && !options.force) {
+            const total = (await this.listFiles(this.targetDir)).length;
+            const deletable = orphans.filter(outputPath =>
+                !matchesAny(path.relative(this.targetDir, outputPath).split(path.sep).join('/'), allowlist)).length;
+            if (total > 0 && deletable === total) {
+                throw new PruneError(`将删除输出目录中的全部 ${total} 个文件，已中止清理；确认无误时使用 force`);
+            }
+        }
+
+        for (const outputPath of orphans) {
+            const relativePath = path.relative(this.targetDir, outputPath).split(path.sep).join('/');
+
+            if (matchesAny(relativePath, allowlist)) {
+                result.protected.push(relativePath);
+                continue;
+            }
+
+            if (dryRun) {
+                result.deleted.push(relativePath);
+                continue;
+            }
+
+            try {
+                await fs.remove(outputPath);
+                await this.removeEmptyDirs(path.dirname(outputPath));
+                result.deleted.push(relativePath);
+                console.log(`清理孤立输出: ${outputPath}`);
+                
+                this.emit('fileProcessed', {
+                    outputPath,
+                    action: 'deleted',
+                    reason: 'pruned',
+                    success: true
+                });
+            } catch (error) {
+                result.failed.push({ relativePath, error: error.message });
+                console.error(`清理孤立输出失败 ${outputPath}:`, error.message);
+            }
+        }
+
+        if (!dryRun) {
+            // 移除已不存在的源文件的清单记录
+            await this.manifestReady;
+            let removedEntries = 0;
+            for (const [filePath] of this.manifest.list()) {
+                if (!(await fs.pathExists(filePath))) {
+                    this.manifest.delete(filePath);
+                    removedEntries++;
+                }
+            }
+            if (removedEntries > 0) {
+                await this.manifest.save();
+            }
+        }
+
+        console.log(`孤立输出清理${dryRun ? '（预演）' : ''}完成: 删除 ${result.deleted.length} 个，保护 ${result.protected.length} 个`);
+        this.emit('pruneCompleted', result);
+        return result;
+    }
+
+    // 自下而上删除空目录，直到目标根目录
+    async removeEmptyDirs(dir) {
+        const root = path.resolve(this.targetDir);
+        let current = path.resolve(dir);
+
+        while (current !== root && current.startsWith(root + path.sep)) {
+            const items = await fs.readdir(current);
+            if (items.length > 0) {
+                break;
+            }
+            await fs.rmdir(current);
+            current = path.dirname(current);
+        }
+    }
+
+    /**
+     * 预演一次同步：列出将要新建、更新、保持不变的文件，以及孤立的输出和不支持的文件。
+     * 只读取文件，不会写入输出、哈希缓存或转换队列
+     * @param {boolean} force 为 true 时所有已存在的输出都视为需要重新转换
+     */
+    async plan(force = false) {
+        const toRelative = (rootDir, filePath) => path.relative(rootDir, filePath).split(path.sep).join('/');
+        const plan = {
+            sourceDir: this.sourceDir,
+            targetDir: this.targetDir,
+            force,
+            new: [],
+            changed: [],
+            unchanged: [],
+            orphaned: [],
+            unsupported: []
+        };
+
+        const files = (await this.listFiles(this.sourceDir)).filter(filePath => !this.isIgnored(filePath));
+        this.indexSourceNames(files.filter(filePath => this.converter.isSupported(filePath)));
+
+        for (const filePath of files) {
+            const stats = await fs.stat(filePath);
+            const entry = {
+                inputPath: filePath,
+                relativePath: toRelative(this.sourceDir, filePath),
+                size: stats.size
+            };
+
+            if (!this.converter.isSupported(filePath)) {
+                plan.unsupported.push(entry);
+                continue;
+            }
+
+            entry.outputPath = this.converter.generateOutputPath(filePath, this.sourceDir, this.targetDir);
+            const reason = await this.getChangeReason(filePath);
+
+            if (reason === 'output-missing') {
+                plan.new.push({ ...entry, reason });
+                continue;
+            }
+
+            // 已有输出的大小可作为重新转换后输出大小的估计
+            entry.outputSize = (await fs.stat(entry.outputPath).catch(() => ({ size: 0 }))).size;
+            entry.estimatedOutputSize = entry.outputSize;
+
+            if (reason || force) {
+                plan.changed.push({ ...entry, reason: reason || 'forced' });
+            } else {
+                plan.unchanged.push(entry);
+            }
+        }
+
+        // 新文件按同类型已有文件的输出/源文件大小比例估算
+        const ratios = {};
+        for (const entry of [...plan.changed, ...plan.unchanged]) {
+            const ext = path.extname(entry.inputPath).toLowerCase();
+            ratios[ext] = ratios[ext] || { source: 0, output: 0 };
+            ratios[ext].source += entry.size;
+            ratios[ext].output += entry.outputSize;
+        }
+        for (const entry of plan.new) {
+            const ratio = ratios[path.extname(entry.inputPath).toLowerCase()];
+            entry.estimatedOutputSize = ratio && ratio.source
+                ? Math.round(entry.size * ratio.output / ratio.source)
+                : null;
+        }
+
+        // 受 allowlist 保护的输出不会被清理，不计入 orphaned
+        const allowlist = await this.getPruneAllowlist();
+        for (const outputPath of await this.findOrphanedOutputs()) {
+            const relativePath = toRelative(this.targetDir, outputPath);
+            if (matchesAny(relativePath, allowlist)) {
+                continue;
+            }
+            const stats = await fs.stat(outputPath);
+            plan.orphaned.push({
+                outputPath,
+                relativePath,
+                size: stats.size
+            });
+        }
+
+        const sum = (entries, key = 'size') => entries.reduce((total, entry) => total + (entry[key] || 0), 0);
+        // 没有同类型文件可供估算的新文件不计入 estimatedOutputBytes，数量记在 unestimated 中；
+        // 全部无法估算时 estimatedOutputBytes 为 null
+        const toConvert = [...plan.new, ...plan.changed];
+        const unestimated = toConvert.filter(entry => entry.estimatedOutputSize === null).length;
+        plan.summary = {
+            new: plan.new.length,
+            changed: plan.changed.length,
+            unchanged: plan.unchanged.length,
+            orphaned: plan.orphaned.length,
+            unsupported: plan.unsupported.length,
+            bytesToConvert: sum(plan.new) + sum(plan.changed),
+            estimatedOutputBytes: toConvert.length > 0 && unestimated === toConvert.length
+                ? null
+                : sum(toConvert, 'estimatedOutputSize'),
+            unestimated,
+            bytesToDelete: sum(plan.orphaned)
+        };
+
+        return plan;
+    }
 }
 
+FileWatcher.PruneError = PruneError;
+
 module.exports = FileWatcher;
@@ -0,0 +1,108 @@
+// YAML front matter 的生成与解析（只支持简单的 key: value 结构）
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// 默认写入的字段，可通过 DocumentConverter 的 frontMatter.fields 配置开关。
+// converted_at 每次转换都不同，不希望重新转换产生 git 提交时可以关闭
+const DEFAULT_FIELDS = {
+    title: true,
+    source: true,
+    source_md5: true,
+    engine: true,
+    converted_at: true,
+    pages: true,
+    sheets: true,
+    slides: true,
+    chapters: true,
+    messages: true,
+    from: true,
+    to: true,
+    date: true,
+    subject: true,
+    language: true,
+    ocr_pages: true
+};
+
+function formatValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    // 嵌套对象（如 Markdown 源文件自带的 front matter）输出为行内集合
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    // JSON 字符串同时也是合法的 YAML 双引号字符串
+    return JSON.stringify(String(value));
+}
+
+/**
+ * 生成 front matter 文本，值为 undefined/null 的字段会被跳过
+ * @param {object} data 字段
+ * @returns {string} 以 --- 包裹的 YAML 块，末尾带空行
+ */
+function stringify(data) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+    if (lines.length === 0) {
+        return '';
+    }
+
+    return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+function parseValue(raw) {
+    const value = raw.trim();
+    if (value === '') return '';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'")) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    return value;
+}
+
+/**
+ * 拆分 front matter 与正文
+ * @param {string} markdown Markdown 内容
+ * @returns {{data: object, body: string, length: number}} length 为 front matter 块（含结尾换行）的字符数
+ */
+function parse(markdown) {
+    const match = markdown.match(FRONT_MATTER_REGEX);
+    if (!match) {
+        return { data: {}, body: markdown, length: 0 };
+    }
+
+    const data = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const pair = line.match(/^([A-Za-z0-9_\-]+)\s*:(.*)$/);
+        if (pair) {
+            data[pair[1]] = parseValue(pair[2]);
+        }
+    }
+
+    return { data, body: markdown.slice(match[0].length), length: match[0].length };
+}
+
+module.exports = {
+    DEFAULT_FIELDS,
+    stringify,
+    parse
+};
@@ -0,0 +1,289 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+const DEFAULT_OPTIONS = {
+    repoDir: null,          // 本地 git 工作区（Keepwork 项目）
+    subDir: '',             // 工作区内的目标子目录，必填：同步会删除其中多余的文件，不能是仓库根目录
+    remote: 'origin',
+    branch: null,           // 为空时使用当前分支
+    push: false,            // 提交后是否推送到远程
+    authorName: null,
+    authorEmail: null,
+    exclude: [/\.chunks\.jsonl$/i] // 不同步到仓库的文件
+};
+
+/**
+ * 将转换后的 Markdown 目录镜像到 Keepwork git 仓库的子目录并提交。
+ * 事件: syncStarted, syncCompleted, syncFailed
+ */
+class GitSync extends EventEmitter {
+    constructor(sourceDir, options = {}) {
+        super();
+        this.sourceDir = sourceDir;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.syncing = false;
+        this.lastResult = null;
+    }
+
+    get targetDir() {
+        return path.join(this.options.repoDir, this.options.subDir || '');
+    }
+
+    isConfigured() {
+        return !!this.options.repoDir;
+    }
+
+    getStatus() {
+        return {
+            configured: this.isConfigured(),
+            repoDir: this.options.repoDir,
+            subDir: this.options.subDir,
+            push: this.options.push,
+            syncing: this.syncing,
+            lastResult: this.lastResult
+        };
+    }
+
+    git(args) {
+        const configArgs = ['-c', 'core.quotepath=false'];
+        if (this.options.authorName) {
+            configArgs.push('-c', `user.name=${this.options.authorName}`);
+        }
+        if (this.options.authorEmail) {
+            configArgs.push('-c', `user.email=${this.options.authorEmail}`);
+        }
+
+        return new Promise((resolve, reject) => {
+            execFile('git', [...configArgs, ...args], {
+                cwd: this.options.repoDir,
+                maxBuffer: 1024 * 1024 * 10
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`git ${args[0]} 失败: ${(stderr || error.message).trim()}`));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    isExcluded(relativePath) {
+        return this.options.exclude.some(pattern => pattern.test(relativePath));
+    }
+
+    // 列出目录下所有文件（相对路径，使用 / 分隔），跳过隐藏文件
+    async listFiles(rootDir) {
+        const files = new Map();
+
+        if (!(await fs.pathExists(rootDir))) {
+            return files;
+        }
+
+        const walk = async (dir) => {
+            const items = await fs.readdir(dir, { withFileTypes: true });
+
+            for (const item of items) {
+                if (item.name.startsWith('.')) continue;
+
+                const fullPath = path.join(dir, item.name);
+                const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+
+                if (item.isDirectory()) {
+                    await walk(fullPath);
+                } else if (item.isFile() && !this.isExcluded(relativePath)) {
+                    files.set(relativePath, fullPath);
+                }
+            }
+        };
+
+        await walk(rootDir);
+        return files;
+    }
+
+    async hashFile(filePath) {
+        const buffer = await fs.readFile(filePath);
+        return crypto.createHash('md5').update(buffer).digest('hex');
+    }
+
+    // 比较源目录与仓库子目录，得到需要新增、修改、删除的文件
+    async diff() {
+        const sourceFiles = await this.listFiles(this.sourceDir);
+        const targetFiles = await this.listFiles(this.targetDir);
+        const changes = { added: [], modified: [], deleted: [] };
+
+        for (const [relativePath, sourcePath] of sourceFiles) {
+            const targetPath = targetFiles.get(relativePath);
+            if (!targetPath) {
+                changes.added.push(relativePath);
+            } else if (await this.hashFile(sourcePath) !== await this.hashFile(targetPath)) {
+                changes.modified.push(relativePath);
+            }
+        }
+
+        for (const relativePath of targetFiles.keys()) {
+            if (!sourceFiles.has(relativePath)) {
+                changes.deleted.push(relativePath);
+            }
+        }
+
+        return changes;
+    }
+
+    buildCommitMessage(changes) {
+        const { added, modified, deleted } = changes;
+        const lines = [
+            `同步 Markdown 文档 (新增 ${added.length}, 修改 ${modified.length}, 删除 ${deleted.length})`,
+            ''
+        ];
+
+        added.forEach(file => lines.push(`A ${file}`));
+        modified.forEach(file => lines.push(`M ${file}`));
+        deleted.forEach(file => lines.push(`D ${file}`));
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 执行同步
+     * @param {object} options dryRun: 只返回将要发生的变更，不写入也不提交
+     * @returns {Promise<object>} 变更列表、提交哈希、是否推送
+     */
+    async sync(options = {}) {
+        const dryRun = !!options.dryRun;
+
+        if (!this.isConfigured()) {
+            throw new Error('未配置 Keepwork 仓库目录 (repoDir)');
+        }
+        // 镜像会删除目标目录中多余的文件，目标为仓库根目录时会删掉仓库中的其他文件
+        const subDir = path.normalize(this.options.subDir || '.');
+        if (subDir === '.' || subDir.startsWith('..') || path.isAbsolute(subDir)) {
+            throw new Error('未配置仓库子目录 (subDir)，不能同步到仓库根目录或工作区之外');
+        }
+        if (this.syncing) {
+            throw new Error('同步正在进行中');
+        }
+
+        this.syncing = true;
+        this.emit('syncStarted', { dryRun });
+
+        try {
+            const inside = (await this.git(['rev-parse', '--is-inside-work-tree'])).trim();
+            if (inside !== 'true') {
+                throw new Error(`不是 git 工作区: ${this.options.repoDir}`);
+            }
+
+            const changes = await this.diff();
+            const total = changes.added.length + changes.modified.length + changes.deleted.length;
+            const result = {
+                success: true,
+                dryRun,
+                ...changes,
+                commit: null,
+                pushed: false,
+                message: total ? this.buildCommitMessage(changes) : null
+            };
+
+            if (!dryRun && total > 0) {
+                await this.applyChanges(changes);
+                result.commit = await this.commit(result.message, [...changes.added, ...changes.modified, ...changes.deleted]);
+
+                if (result.commit && this.options.push) {
+                    await this.pushChanges();
+                    result.pushed = true;
+                }
+            }
+
+            console.log(`Keepwork 同步${dryRun ? '（预演）' : ''}完成: 新增 ${changes.added.length}, 修改 ${changes.modified.length}, 删除 ${changes.deleted.length}`);
+            this.lastResult = { ...result, time: new Date() };
+            this.emit('syncCompleted', result);
+            return result;
+        } catch (error) {
+            console.error('Keepwork 同步失败:', error.message);
+            this.lastResult = { success: false, dryRun, error: error.message, time: new Date() };
+            this.emit('syncFailed', { dryRun, error: error.message });
+            throw error;
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    async applyChanges(changes) {
+        for (const relativePath of [...changes.added, ...changes.modified]) {
+            await fs.copy(
+                path.join(this.sourceDir, relativePath),
+                path.join(this.targetDir, relativePath),
+                { overwrite: true }
+            );
+        }
+
+        for (const relativePath of changes.deleted) {
+            await fs.remove(path.join(this.targetDir, relativePath));
+        }
+    }
+
+    /**
+     * 只暂存并提交本次同步写入或删除的文件，工作区中的其他改动（包括已暂存的）不受影响。
+     * 没有实际变更时返回 null
+     * @param {string[]} relativePaths 相对 subDir 的路径
+     */
+    async commit(message, relativePaths) {
+        const subDir = (this.options.subDir || '').split(path.sep).join('/');
+        // repoDir 可能是工作区的子目录，路径统一为相对工作区根目录（与 diff --name-only 的输出一致）
+        const prefix = (await this.git(['rev-parse', '--show-prefix'])).trim();
+        const toRepoPath = relativePath => path.posix.join(prefix || '.', subDir || '.', relativePath);
+
+        // 已跟踪的文件和未被 .gitignore 忽略的新文件才能暂存；删除的未跟踪文件无需处理
+        const known = new Set((await this.git(['ls-files', '-z', '--full-name', '--cached', '--others', '--exclude-standard', '--', subDir || '.']))
+            .split('\0').filter(Boolean));
+        const pathspecs = relativePaths.map(toRepoPath).filter(repoPath => known.has(repoPath));
+        if (pathspecs.length === 0) {
+            return null;
+        }
+
+        // 文件很多时命令行参数可能过长，通过 pathspec 文件传递
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-git-'));
+        const pathspecFile = path.join(tempDir, 'pathspec');
+        try {
+            // :(top) 使路径相对工作区根目录解析
+            const toPathspec = repoPath => `:(top)${repoPath}`;
+            await fs.writeFile(pathspecFile, pathspecs.map(toPathspec).join('\0'));
+            const fromFile = [`--pathspec-from-file=${pathspecFile}`, '--pathspec-file-nul'];
+
+            await this.git(['add', '-A', ...fromFile]);
+
+            // 只提交实际有变化的路径（例如已暂存又被删除的新文件不在其中）
+            const written = new Set(pathspecs);
+            const staged = (await this.git(['diff', '--cached', '--name-only', '-z', '--', subDir || '.']))
+                .split('\0').filter(repoPath => written.has(repoPath));
+            if (staged.length === 0) {
+                return null;
+            }
+
+            await fs.writeFile(pathspecFile, staged.map(toPathspec).join('\0'));
+            await this.git(['commit', '-m', message, ...fromFile]);
+            return (await this.git(['rev-parse', 'HEAD'])).trim();
+        } finally {
+            await fs.remove(tempDir).catch(() => {
+                // 忽略清理错误
+            });
+        }
+    }
+
+    async pushChanges() {
+        const args = ['push', this.options.remote];
+        if (this.options.branch) {
+            args.push(`HEAD:${this.options.branch}`);
+        } else {
+            args.push('HEAD');
+        }
+        await this.git(args);
+    }
+}
+
+GitSync.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = GitSync;
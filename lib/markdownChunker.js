@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const frontMatter = require('./frontMatter');
+
+const DEFAULT_OPTIONS = {
+    maxChars: 1500,         // 单个分块的最大字符数（不含标题路径前缀）
+    overlap: 200,           // 相邻分块之间的重叠字符数
+    minChars: 200,          // 寻找断点时，分块至少保留的字符数
+    includeBreadcrumbs: true, // 是否在分块文本前加上标题路径
+    breadcrumbSeparator: ' > '
+};
+
+/**
+ * 按标题层级切分 Markdown，生成用于 RAG 索引的分块。
+ * 每个分块记录标题路径以及在原 Markdown 中的字符偏移 [charStart, charEnd)。
+ */
+class MarkdownChunker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        if (this.options.overlap >= this.options.maxChars) {
+            throw new Error('overlap 必须小于 maxChars');
+        }
+    }
+
+    // 将 Markdown 拆分为标题小节，忽略代码块中的 # 行
+    splitSections(markdown, offset = 0) {
+        const sections = [];
+        const headingStack = [];
+        const lineRegex = /[^\n]*(\n|$)/g;
+        let inFence = false;
+        let current = { headingPath: [], start: offset };
+        let match;
+
+        lineRegex.lastIndex = offset;
+        while ((match = lineRegex.exec(markdown)) !== null) {
+            if (match[0] === '') break;
+
+            const lineStart = match.index;
+            const lineEnd = lineStart + match[0].length;
+            const line = match[0].replace(/\r?\n$/, '');
+
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                continue;
+            }
+
+            const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (!heading) continue;
+
+            current.end = lineStart;
+            sections.push(current);
+
+            const level = heading[1].length;
+            while (headingStack.length && headingStack[headingStack.length - 1].level >= level) {
+                headingStack.pop();
+            }
+            headingStack.push({ level, text: heading[2] });
+
+            current = {
+                headingPath: headingStack.map(h => h.text),
+                start: lineEnd
+            };
+        }
+
+        current.end = markdown.length;
+        sections.push(current);
+
+        return sections;
+    }
+
+    // 在 [start, limit] 范围内寻找最合适的断点：段落 > 换行 > 句末 > 空白
+    findBreak(markdown, start, limit) {
+        const window = markdown.slice(start, limit);
+        const minPos = Math.min(this.options.minChars, Math.floor(window.length / 2));
+        const patterns = [/\n\s*\n/g, /\n/g, /[。！？；]|[.!?;](\s|$)/g, /\s/g];
+
+        for (const pattern of patterns) {
+            let best = -1;
+            let match;
+            while ((match = pattern.exec(window)) !== null) {
+                const pos = match.index + match[0].length;
+                if (pos >= minPos) best = pos;
+            }
+            if (best > 0) {
+                return start + best;
+            }
+        }
+
+        return limit;
+    }
+
+    // 把 [start, end) 区间切成若干窗口，返回去除首尾空白后的偏移
+    splitRange(markdown, start, end) {
+        const { maxChars, overlap } = this.options;
+        const ranges = [];
+        let pos = start;
+
+        while (pos < end) {
+            const limit = pos + maxChars;
+            const cut = limit >= end ? end : this.findBreak(markdown, pos, limit);
+            ranges.push(this.trimRange(markdown, pos, cut));
+
+            if (cut >= end) break;
+
+            // 下一个分块从重叠区域开始，并尽量对齐到空白或句末之后
+            let next = Math.max(cut - overlap, pos + 1);
+            if (overlap > 0) {
+                const overlapText = markdown.slice(next, cut);
+                const boundary = overlapText.search(/[\s。！？；]/);
+                if (boundary >= 0 && next + boundary + 1 < cut) {
+                    next += boundary + 1;
+                }
+            } else {
+                next = cut;
+            }
+            pos = next;
+        }
+
+        return ranges.filter(range => range.end > range.start);
+    }
+
+    trimRange(markdown, start, end) {
+        while (start < end && /\s/.test(markdown[start])) start++;
+        while (end > start && /\s/.test(markdown[end - 1])) end--;
+        return { start, end };
+    }
+
+    /**
+     * 切分 Markdown 文本
+     * @param {string} markdown Markdown 内容
+     * @param {object} meta 附加信息，sourcePath 会写入每个分块并参与生成分块 ID
+     * @returns {Array<object>} 分块列表
+     */
+    chunk(markdown, meta = {}) {
+        const sourcePath = meta.sourcePath || '';
+        const separator = this.options.breadcrumbSeparator;
+        const idPrefix = crypto.createHash('md5').update(sourcePath).digest('hex').slice(0, 12);
+        const chunks = [];
+        // front matter 不参与分块
+        const bodyStart = frontMatter.parse(markdown).length;
+
+        for (const section of this.splitSections(markdown, bodyStart)) {
+            const ranges = this.splitRange(markdown, section.start, section.end);
+
+            for (const range of ranges) {
+                const body = markdown.slice(range.start, range.end);
+                const breadcrumb = section.headingPath.join(separator);
+                const text = this.options.includeBreadcrumbs && breadcrumb
+                    ? `${breadcrumb}\n\n${body}`
+                    : body;
+                const index = chunks.length;
+
+                chunks.push({
+                    id: `${idPrefix}-${String(index).padStart(4, '0')}`,
+                    index,
+                    text,
+                    headingPath: section.headingPath,
+                    sourcePath,
+                    charStart: range.start,
+                    charEnd: range.end
+                });
+            }
+        }
+
+        return chunks;
+    }
+
+    toJsonl(chunks) {
+        return chunks.map(chunk => JSON.stringify(chunk)).join('\n') + (chunks.length ? '\n' : '');
+    }
+
+    // foo.md -> foo.chunks.jsonl
+    static getChunksPath(markdownPath) {
+        return markdownPath.replace(/\.md$/i, '') + '.chunks.jsonl';
+    }
+}
+
+MarkdownChunker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = MarkdownChunker;
@@ -0,0 +1,135 @@
+// 原生 Markdown 的规范化：Setext 标题转为 # 标题、修正标题层级、改写相对链接。
+// 代码块（``` 和 ~~~ 围栏）和行内代码中的内容不处理
+
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+
+// 每一行是否属于围栏代码块（含围栏行本身）
+function codeFlags(lines) {
+    let fence = null;
+    return lines.map((line) => {
+        const match = line.match(FENCE_REGEX);
+        if (fence) {
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !line.slice(match[0].length).trim()) {
+                fence = null;
+            }
+            return true;
+        }
+        if (match && !(match[1][0] === '`' && line.slice(match[0].length).includes('`'))) {
+            fence = match[1];
+            return true;
+        }
+        return false;
+    });
+}
+
+// 可以作为 Setext 标题文字的行：不是列表、引用、表格、HTML 或已有的标题
+function isParagraphLine(line) {
+    return !!line.trim() && !/^ {4}/.test(line) && !/^\s*([#>|<]|[-*+]\s|\d+[.)]\s)/.test(line);
+}
+
+/**
+ * 规范化标题：Setext 标题（下一行为 === 或 ---）改为 # 标题，去掉结尾的 #；
+ * 只有一个一级标题且位于最前时作为文档标题保留，否则加上 "# fallbackTitle" 并把原有标题降到二级以下；
+ * 跳级的标题（如 ## 之后直接 ####）按层次依次编号
+ * @returns {{markdown: string, title: string|null}} title 为保留的一级标题文字
+ */
+function normalizeHeadings(markdown, fallbackTitle) {
+    const source = markdown.split('\n');
+    const sourceCode = codeFlags(source);
+    const lines = [];
+    const code = [];
+
+    for (let i = 0; i < source.length; i++) {
+        const line = source[i];
+        const previous = lines[lines.length - 1];
+        const beforePrevious = lines[lines.length - 2];
+        const underline = !sourceCode[i] && line.match(/^ {0,3}(=+|-+)[ \t]*$/);
+        // 只处理单行的 Setext 标题，多行段落后的 --- 仍视为分隔线
+        if (underline && previous !== undefined && !code[code.length - 1] && isParagraphLine(previous) &&
+            (beforePrevious === undefined || !beforePrevious.trim() || code[code.length - 2])) {
+            lines[lines.length - 1] = `${underline[1][0] === '=' ? '#' : '##'} ${previous.trim()}`;
+            continue;
+        }
+        lines.push(line);
+        code.push(sourceCode[i]);
+    }
+
+    const headings = [];
+    lines.forEach((line, index) => {
+        const match = !code[index] && line.match(ATX_HEADING_REGEX);
+        if (match && match[2]) {
+            headings.push({ index, level: match[1].length, text: match[2].trim() });
+        }
+    });
+
+    const keepTitle = headings.length > 0 && headings[0].level === 1 &&
+        headings.filter(heading => heading.level === 1).length === 1;
+    const base = keepTitle ? 1 : 2;
+
+    // 每个标题的新级别为其上级标题的新级别加一
+    const stack = [];
+    for (const heading of headings) {
+        while (stack.length && stack[stack.length - 1].original >= heading.level) {
+            stack.pop();
+        }
+        const level = Math.min(6, stack.length ? stack[stack.length - 1].level + 1 : base);
+        stack.push({ original: heading.level, level });
+        lines[heading.index] = `${'#'.repeat(level)} ${heading.text}`;
+    }
+
+    let result = lines.join('\n').trim();
+    if (!keepTitle) {
+        result = `# ${fallbackTitle}\n\n${result}`;
+    }
+    return { markdown: `${result.trimEnd()}\n`, title: keepTitle ? headings[0].text : null };
+}
+
+// 行内链接和图片 [text](url "title")，url 可以用 <> 包裹或带一层括号
+const INLINE_LINK_REGEX = /(!?\[(?:[^\[\]\\]|\\.|\[[^\]]*\])*\]\(\s*)(<[^>\n]*>|[^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)((?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\))/g;
+// 链接引用定义 [label]: url "title"
+const REFERENCE_REGEX = /^( {0,3}\[[^\]]+\]:[ \t]*)(<[^>\n]*>|\S+)(.*)$/;
+
+/**
+ * 改写代码以外的链接地址
+ * @param {function(string): string|null|undefined} resolve 接收链接地址（去掉 <>），返回新地址，不改写时返回空值
+ */
+function rewriteLinks(markdown, resolve) {
+    const replaceUrl = (raw) => {
+        const bracketed = raw.startsWith('<');
+        const url = bracketed ? raw.slice(1, -1) : raw;
+        const replaced = url ? resolve(url) : null;
+        if (!replaced) return raw;
+        return bracketed || /\s/.test(replaced) ? `<${replaced}>` : replaced;
+    };
+
+    const lines = markdown.split('\n');
+    const code = codeFlags(lines);
+    return lines.map((line, index) => {
+        if (code[index]) return line;
+        const reference = line.match(REFERENCE_REGEX);
+        if (reference) {
+            return reference[1] + replaceUrl(reference[2]) + reference[3];
+        }
+        // 行内代码原样保留
+        return line.split(/(`+[^`]*?`+)/).map((piece, pieceIndex) => pieceIndex % 2 === 1
+            ? piece
+            : piece.replace(INLINE_LINK_REGEX, (match, before, url, after) => before + replaceUrl(url) + after)).join('');
+    }).join('\n');
+}
+
+// 代码以外的全部链接地址，用于在改写前预先读取图片
+function listLinks(markdown) {
+    const urls = [];
+    rewriteLinks(markdown, (url) => {
+        urls.push(url);
+        return null;
+    });
+    return urls;
+}
+
+module.exports = {
+    normalizeHeadings,
+    rewriteLinks,
+    listLinks
+};
@@ -0,0 +1,53 @@
+// 简单的 glob 匹配，支持 *、**、? 以及以 / 结尾表示整个目录。路径统一使用 / 分隔
+
+function globToRegExp(pattern) {
+    let glob = pattern.trim().replace(/\\/g, '/');
+    if (glob.endsWith('/')) {
+        glob += '**';
+    }
+
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // **/ 匹配零个或多个目录
+                if (glob[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i += 1;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    // 不含 / 的模式匹配任意层级下的文件名，如 *.keep.md
+    const anchored = glob.includes('/') ? `^${regex.replace(/^\//, '')}$` : `(?:^|/)${regex}$`;
+    return new RegExp(anchored, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * 判断相对路径是否匹配任一模式
+ * @param {string} relativePath 相对路径
+ * @param {Array<string|RegExp>} patterns glob 字符串或正则
+ */
+function matchesAny(relativePath, patterns = []) {
+    const normalized = relativePath.split('\\').join('/');
+    return patterns.some(pattern => {
+        const regex = pattern instanceof RegExp ? pattern : globToRegExp(pattern);
+        return regex.test(normalized);
+    });
+}
+
+module.exports = {
+    globToRegExp,
+    matchesAny
+};
@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+class SandboxError extends Error {
+    constructor(message) {
+        super(message);
+        this.statusCode = 403;
+    }
+}
+
+// Windows 路径不区分大小写
+const normalizeCase = (filePath) => process.platform === 'win32' ? filePath.toLowerCase() : filePath;
+
+/**
+ * 路径沙箱：API 传入的路径必须位于允许的根目录内。
+ * 比较前解析符号链接，防止通过根目录内的链接访问外部文件
+ */
+class PathSandbox {
+    constructor(roots = []) {
+        this.roots = [];
+        roots.forEach(root => this.addRoot(root));
+    }
+
+    addRoot(root) {
+        const resolved = path.resolve(root);
+        if (!this.roots.includes(resolved)) {
+            this.roots.push(resolved);
+        }
+    }
+
+    static isInside(root, target) {
+        const relative = path.relative(normalizeCase(root), normalizeCase(target));
+        return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+    }
+
+    // 解析符号链接后的真实路径；路径不存在时解析最近的已存在的上级目录
+    static async realpath(filePath) {
+        let existing = filePath;
+        const rest = [];
+
+        while (!(await fs.pathExists(existing))) {
+            const parent = path.dirname(existing);
+            if (parent === existing) break;
+            rest.unshift(path.basename(existing));
+            existing = parent;
+        }
+
+        const real = await fs.realpath(existing).catch(() => existing);
+        return path.join(real, ...rest);
+    }
+
+    /**
+     * 检查路径是否位于允许的根目录内
+     * @param {string} inputPath 请求中的路径，相对路径以 baseDir 为基准
+     * @param {string} baseDir 相对路径的基准目录
+     * @returns {Promise<string>} 解析后的绝对路径（保留原始写法，不替换符号链接）
+     */
+    async resolve(inputPath, baseDir = process.cwd()) {
+        if (typeof inputPath !== 'string' || !inputPath || inputPath.includes('\0')) {
+            throw new SandboxError('无效的路径');
+        }
+
+        const resolved = path.resolve(baseDir, inputPath);
+        const real = await PathSandbox.realpath(resolved);
+
+        for (const root of this.roots) {
+            const realRoot = await PathSandbox.realpath(root);
+            if (PathSandbox.isInside(realRoot, real)) {
+                return resolved;
+            }
+        }
+
+        throw new SandboxError(`路径不在允许的目录内: ${inputPath}`);
+    }
+
+    /**
+     * 检查路径（解析符号链接后）是否位于指定目录内
+     */
+    async isWithin(dir, filePath) {
+        const [realDir, realPath] = await Promise.all([
+            PathSandbox.realpath(path.resolve(dir)),
+            PathSandbox.realpath(path.resolve(filePath))
+        ]);
+        return PathSandbox.isInside(realDir, realPath);
+    }
+}
+
+PathSandbox.SandboxError = SandboxError;
+
+module.exports = PathSandbox;
@@ -0,0 +1,359 @@
+const pdfParse = require('pdf-parse');
+
+const DEFAULT_OPTIONS = {
+    pageAnchors: true,          // 每页开始处插入 <a id="page-N"></a>，便于引用页码
+    stripHeadersFooters: true,  // 去除重复出现的页眉、页脚和页码
+    detectHeadings: true,       // 根据字号识别标题
+    headingRatio: 1.15,         // 字号达到正文字号的多少倍视为标题
+    maxHeadingLength: 60        // 超过这个长度的行不视为标题
+};
+
+const CJK_REGEX = /[⺀-鿿豈-﫿＀-￯　-〿]/;
+// 段落结束的标点
+const SENTENCE_END_REGEX = /[。！？；：.!?;:…"”'’）)」』】]$/;
+// 页码: "3"、"- 3 -"、"iv"、"第 3 页"、"3 / 10"、"Page 3 of 10"
+const PAGE_NUMBER_REGEX = /^(?:[-–—\s]*\d+[-–—\s]*|[ivxlc]{1,6}|第\s*\d+\s*页(?:\s*[/，,]?\s*共\s*\d+\s*页)?|\d+\s*\/\s*\d+|page\s+\d+(?:\s+of\s+\d+)?)$/i;
+
+/**
+ * 读取每页的文本行，保留字号和纵向位置
+ * @returns {Promise<{pages: Array<Array<{text, x, y, size}>>, numpages, info}>}
+ */
+async function extractPages(buffer) {
+    const pages = [];
+
+    const data = await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent({
+                normalizeWhitespace: false,
+                disableCombineTextItems: false
+            });
+            const lines = groupLines(content.items, pageData.view ? pageData.view[2] - pageData.view[0] : 0);
+            pages[pageData.pageIndex] = lines;
+            return lines.map(line => line.text).join('\n');
+        }
+    });
+
+    return {
+        pages: Array.from({ length: data.numpages }, (_, i) => pages[i] || []),
+        numpages: data.numpages,
+        info: data.info
+    };
+}
+
+// 按纵坐标把文本片段归为行；上下标的纵坐标略有偏移，容差按较大的字号计算
+function groupRows(fragments) {
+    const rows = [];
+    for (const fragment of fragments) {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(row.y - fragment.y) <= Math.max(2, Math.max(row.size, fragment.size) * 0.5)) {
+            row.fragments.push(fragment);
+            if (fragment.size > row.size) {
+                row.y = fragment.y;
+                row.size = fragment.size;
+            }
+        } else {
+            rows.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+        }
+    }
+    return rows;
+}
+
+// 同一行内按横坐标拼接；间距超过几个字宽时拆成多段（分栏、表格列）
+function splitSegments(row) {
+    const segments = [];
+    let segment = null;
+
+    for (const part of row.fragments.sort((a, b) => a.x - b.x)) {
+        const gap = segment ? part.x - segment.end : 0;
+        if (segment && gap > Math.max(part.size * 2, 15)) {
+            segments.push(segment);
+            segment = null;
+        }
+        if (!segment) {
+            segment = { text: part.text, x: part.x, end: part.x + part.width, y: row.y, size: row.size };
+            continue;
+        }
+        // 片段之间有明显间距且不是中文时补一个空格
+        if (gap > part.size * 0.2 && !/\s$/.test(segment.text) && !/^\s/.test(part.text) &&
+            !(CJK_REGEX.test(segment.text.slice(-1)) && CJK_REGEX.test(part.text[0]))) {
+            segment.text += ' ';
+        }
+        segment.text += part.text;
+        segment.end = Math.max(segment.end, part.x + part.width);
+    }
+    if (segment) segments.push(segment);
+
+    return segments;
+}
+
+/**
+ * 把一页的文本片段整理为按阅读顺序排列的行。
+ * 双栏排版时先输出栏上方的通栏内容（标题、作者），再依次输出左栏、右栏和栏下方的通栏内容
+ */
+function groupLines(items, pageWidth) {
+    const fragments = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({
+            text: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width || 0,
+            size: Math.abs(item.transform[3]) || item.height || 0
+        }))
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const segments = groupRows(fragments).flatMap(splitSegments);
+    const mid = pageWidth / 2;
+    const left = segments.filter(seg => seg.end <= mid + 5);
+    const right = segments.filter(seg => seg.x >= mid - 5);
+    const isTwoColumn = pageWidth > 0 && left.length >= 5 && right.length >= 5 &&
+        left.length + right.length >= segments.length * 0.7;
+
+    let ordered = segments;
+    if (isTwoColumn) {
+        // 栏上方的通栏区域：位于分栏内容中部以上的最后一个通栏片段之上（含该片段）
+        const full = segments.filter(seg => !left.includes(seg) && !right.includes(seg));
+        const columnYs = [...left, ...right].map(seg => seg.y).sort((a, b) => a - b);
+        const medianY = columnYs[Math.floor(columnYs.length / 2)];
+        const boundary = Math.min(Infinity, ...full.filter(seg => seg.y > medianY).map(seg => seg.y));
+        const body = seg => seg.y < boundary;
+
+        ordered = [
+            ...segments.filter(seg => !body(seg)),
+            ...left.filter(body),
+            ...right.filter(body),
+            ...full.filter(body)
+        ];
+    }
+
+    return ordered
+        .map(seg => ({ text: seg.text.replace(/\s+/g, ' ').trim(), x: seg.x, y: seg.y, size: seg.size }))
+        .filter(line => line.text);
+}
+
+// 页眉页脚比较时忽略数字（页码、日期等）
+const normalizeRepeat = text => text.replace(/\d+/g, '#').replace(/\s+/g, '');
+
+/**
+ * 去除页眉、页脚：每页最上和最下的两行中，在多个页面上重复出现的内容，以及单独的页码行
+ */
+function stripHeadersFooters(pages) {
+    const candidates = new Map();
+    const edgeLines = pages.map(lines => [...lines.slice(0, 2), ...lines.slice(-2)]);
+
+    if (pages.length >= 3) {
+        edgeLines.forEach((lines) => {
+            new Set(lines.map(line => normalizeRepeat(line.text))).forEach((key) => {
+                candidates.set(key, (candidates.get(key) || 0) + 1);
+            });
+        });
+    }
+
+    // 带页码的页眉（如 "第 3 章 概述 12"）通常只在本章各页重复，出现 3 次即可认定
+    const half = Math.max(3, Math.ceil(pages.length / 2));
+    const isRepeated = (key) => {
+        const count = candidates.get(key) || 0;
+        return count >= half || (count >= 3 && key.includes('#'));
+    };
+
+    // 随章节变化的页眉（"Chapter 3: Utilities 7"）：多数页面最上或最下一行以同一个词开头且带数字
+    const prefixes = { top: new Map(), bottom: new Map() };
+    const prefixOf = text => text.replace(/\d+/g, '#').split(/\s+/)[0];
+    if (pages.length >= 3) {
+        pages.forEach((lines) => {
+            if (lines.length === 0) return;
+            const top = prefixOf(lines[0].text);
+            const bottom = prefixOf(lines[lines.length - 1].text);
+            prefixes.top.set(top, (prefixes.top.get(top) || 0) + 1);
+            prefixes.bottom.set(bottom, (prefixes.bottom.get(bottom) || 0) + 1);
+        });
+    }
+    const isRunningHeader = (line, position) => /\d/.test(line.text) &&
+        (prefixes[position].get(prefixOf(line.text)) || 0) >= half;
+
+    return pages.map((lines, index) => lines.filter((line, lineIndex) => {
+        if (!edgeLines[index].includes(line)) return true;
+        if (PAGE_NUMBER_REGEX.test(line.text)) return false;
+        if (lineIndex === 0 && isRunningHeader(line, 'top')) return false;
+        if (lineIndex === lines.length - 1 && isRunningHeader(line, 'bottom')) return false;
+        return !isRepeated(normalizeRepeat(line.text));
+    }));
+}
+
+// 正文字号：按字符数加权出现最多的字号
+function getBodySize(pages) {
+    const counts = new Map();
+    pages.flat().forEach((line) => {
+        const size = Math.round(line.size * 2) / 2;
+        counts.set(size, (counts.get(size) || 0) + line.text.length);
+    });
+
+    let bodySize = 0;
+    let max = -1;
+    counts.forEach((count, size) => {
+        if (count > max) {
+            max = count;
+            bodySize = size;
+        }
+    });
+    return bodySize;
+}
+
+// 正文行距：相邻两行同字号正文之间出现最多的纵向间距
+function getLineGap(pages, bodySize) {
+    const counts = new Map();
+    pages.forEach((lines) => {
+        for (let i = 1; i < lines.length; i++) {
+            const gap = Math.round(lines[i - 1].y - lines[i].y);
+            if (gap > 0 && Math.abs(lines[i].size - bodySize) < 1 && Math.abs(lines[i - 1].size - bodySize) < 1) {
+                counts.set(gap, (counts.get(gap) || 0) + 1);
+            }
+        }
+    });
+
+    let lineGap = bodySize * 1.5;
+    let max = 0;
+    counts.forEach((count, gap) => {
+        if (count > max) {
+            max = count;
+            lineGap = gap;
+        }
+    });
+    return lineGap;
+}
+
+// 连接两段文本：中文之间不加空格，英文行尾连字符去掉
+function joinText(left, right) {
+    if (/[A-Za-z]-$/.test(left) && /^[a-z]/.test(right)) {
+        return left.slice(0, -1) + right;
+    }
+    if (CJK_REGEX.test(left.slice(-1)) || CJK_REGEX.test(right[0])) {
+        return left + right;
+    }
+    return `${left} ${right}`;
+}
+
+const CJK_SPACE_REGEX = new RegExp(`(${CJK_REGEX.source})[ \\t]+(?=${CJK_REGEX.source})`, 'g');
+
+// tesseract 的输出：去掉中文字符之间多余的空格，空行分段，段内折行合并，去掉单独的页码行
+function ocrTextToParagraphs(text) {
+    return text
+        .replace(/\f/g, '')
+        .replace(CJK_SPACE_REGEX, '$1')
+        .split(/\n\s*\n/)
+        .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+        .filter(lines => lines.length > 0 && !(lines.length === 1 && PAGE_NUMBER_REGEX.test(lines[0])))
+        .map(lines => lines.reduce(joinText));
+}
+
+/**
+ * 把按页的文本行组织为 Markdown：识别标题、合并跨行和跨页的段落、插入页码锚点
+ * @param {Array<Array<{text, y, size}>>} pages extractPages 返回的 pages
+ * @param {object} ocrTexts 页码（从 1 开始）到 OCR 文本的映射，这些页面使用 OCR 结果代替提取的文字
+ */
+function layoutToMarkdown(pages, options = {}, ocrTexts = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const hasOcr = (index) => !!(ocrTexts[index + 1] && ocrTexts[index + 1].trim());
+    const textPages = pages.map((lines, index) => hasOcr(index) ? [] : lines);
+    const cleaned = config.stripHeadersFooters ? stripHeadersFooters(textPages) : textPages;
+    const bodySize = getBodySize(cleaned);
+    const lineGap = getLineGap(cleaned, bodySize);
+
+    // 比正文大的字号从大到小依次对应 ##、###、####
+    const headingSizes = config.detectHeadings && bodySize > 0
+        ? Array.from(new Set(cleaned.flat()
+            .filter(line => line.size >= bodySize * config.headingRatio)
+            .map(line => Math.round(line.size * 2) / 2)))
+            .sort((a, b) => b - a)
+        : [];
+    const headingLevel = (line) => {
+        if (line.text.length < 2 || line.text.length > config.maxHeadingLength || SENTENCE_END_REGEX.test(line.text)) {
+            return 0;
+        }
+        const index = headingSizes.indexOf(Math.round(line.size * 2) / 2);
+        return index === -1 ? 0 : Math.min(index + 2, 4);
+    };
+
+    const blocks = [];  // { type: 'heading' | 'paragraph' | 'anchor' | 'comment', text, level }
+    let paragraph = null;
+    let previous = null;
+    let heading = null;     // 上一行是标题时记录该行，用于合并折行的标题
+
+    const closeParagraph = () => {
+        if (paragraph) {
+            blocks.push(paragraph);
+            paragraph = null;
+        }
+    };
+
+    cleaned.forEach((lines, pageIndex) => {
+        const anchor = config.pageAnchors ? { type: 'anchor', text: `<a id="page-${pageIndex + 1}"></a>` } : null;
+        let anchorPending = !!anchor;
+        previous = null;
+        heading = null;
+
+        // OCR 识别的页面单独成段，并用注释标明来源
+        if (hasOcr(pageIndex)) {
+            closeParagraph();
+            if (anchor) blocks.push(anchor);
+            blocks.push({ type: 'comment', text: `<!-- OCR: 第 ${pageIndex + 1} 页 -->` });
+            ocrTextToParagraphs(ocrTexts[pageIndex + 1])
+                .forEach(text => blocks.push({ type: 'paragraph', text }));
+            return;
+        }
+
+        for (const line of lines) {
+            const level = headingSizes.length > 0 ? headingLevel(line) : 0;
+
+            // 上一页最后一段没有结束时，与本页第一行合并
+            const continuesPage = !previous && paragraph && level === 0 &&
+                !SENTENCE_END_REGEX.test(paragraph.text);
+            // 行距明显大于正文行距时视为新段落
+            const gap = previous ? previous.y - line.y : 0;
+            const continuesLine = previous && paragraph && level === 0 &&
+                gap <= lineGap * 1.3 &&
+                Math.abs(previous.size - line.size) < 1;
+
+            if (continuesPage || continuesLine) {
+                paragraph.text = joinText(paragraph.text, line.text);
+            } else {
+                closeParagraph();
+                if (anchorPending) {
+                    blocks.push(anchor);
+                    anchorPending = false;
+                }
+                const last = blocks[blocks.length - 1];
+                if (level > 0 && heading && last && last.type === 'heading' && last.level === level &&
+                    heading.y - line.y <= heading.size * 1.5) {
+                    // 同一标题折成多行
+                    last.text = joinText(last.text, line.text);
+                } else if (level > 0) {
+                    blocks.push({ type: 'heading', text: line.text, level });
+                } else {
+                    paragraph = { type: 'paragraph', text: line.text };
+                }
+            }
+            previous = level > 0 ? null : line;
+            heading = level > 0 ? line : null;
+        }
+
+        if (anchorPending) {
+            closeParagraph();
+            blocks.push(anchor);
+        }
+    });
+    closeParagraph();
+
+    return blocks.map((block) => {
+        if (block.type === 'heading') {
+            return `${'#'.repeat(block.level)} ${block.text}`;
+        }
+        return block.text;
+    }).join('\n\n');
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    extractPages,
+    layoutToMarkdown
+};
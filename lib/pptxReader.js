@@ -0,0 +1,222 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// 标题占位符类型
+const TITLE_TYPES = new Set(['title', 'ctrTitle']);
+// 不输出的占位符：日期、页脚、页码
+const SKIPPED_TYPES = new Set(['dt', 'ftr', 'sldNum', 'hdr', 'sldImg']);
+
+const parseXml = xml => new DOMParser().parseFromString(xml, 'text/xml');
+
+// 按本地名称查找子元素（忽略命名空间前缀）
+const children = (node, name) => Array.from(node ? node.childNodes || [] : [])
+    .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+const child = (node, name) => children(node, name)[0] || null;
+
+function descendants(node, name) {
+    const result = [];
+    const walk = (current) => {
+        for (const item of children(current)) {
+            if (item.localName === name) result.push(item);
+            walk(item);
+        }
+    };
+    walk(node);
+    return result;
+}
+
+// 读取 .rels 文件：关系 ID → { target（zip 内的完整路径）, type, external }
+async function readRelationships(zip, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const file = zip.file(relsPath);
+    const relationships = new Map();
+    if (!file) return relationships;
+
+    const doc = parseXml(await file.async('string'));
+    for (const rel of descendants(doc, 'Relationship')) {
+        const target = rel.getAttribute('Target');
+        const external = rel.getAttribute('TargetMode') === 'External';
+        relationships.set(rel.getAttribute('Id'), {
+            target: external ? target : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target)),
+            type: rel.getAttribute('Type').split('/').pop(),
+            external
+        });
+    }
+    return relationships;
+}
+
+// 段落文本：文字、换行、字段（如日期），超链接输出为 Markdown 链接
+function paragraphText(paragraph, relationships) {
+    let text = '';
+    for (const node of children(paragraph)) {
+        if (node.localName === 'r' || node.localName === 'fld') {
+            const value = descendants(node, 't').map(t => t.textContent).join('');
+            const link = descendants(child(node, 'rPr'), 'hlinkClick')[0];
+            const rel = link && relationships.get(link.getAttribute('r:id'));
+            text += rel && rel.external && value.trim()
+                ? `[${value}](${rel.target.replace(/[ ()<>]/g, char => encodeURIComponent(char))})`
+                : value;
+        } else if (node.localName === 'br') {
+            text += '\n';
+        }
+    }
+    return text;
+}
+
+/**
+ * 文本框中的段落
+ * @param {boolean} bulleted 占位符正文默认带项目符号，普通文本框默认不带
+ * @returns {Array<{text: string, level: number, bullet: null|'bullet'|'number'}>}
+ */
+function readTextBody(txBody, relationships, bulleted) {
+    return children(txBody, 'p').map((paragraph) => {
+        const pPr = child(paragraph, 'pPr');
+        const level = pPr ? parseInt(pPr.getAttribute('lvl'), 10) || 0 : 0;
+
+        let bullet = bulleted ? 'bullet' : null;
+        if (child(pPr, 'buNone')) bullet = null;
+        else if (child(pPr, 'buAutoNum')) bullet = 'number';
+        else if (child(pPr, 'buChar') || child(pPr, 'buBlip')) bullet = 'bullet';
+
+        return { text: paragraphText(paragraph, relationships).trim(), level, bullet };
+    }).filter(paragraph => paragraph.text);
+}
+
+// 表格展开为二维数组，合并单元格覆盖的位置填入相同内容
+function readTable(table, relationships) {
+    const grid = [];
+    children(table, 'tr').forEach((row, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+        children(row, 'tc').forEach((cell, colIndex) => {
+            const text = readTextBody(child(cell, 'txBody'), relationships, false)
+                .map(paragraph => paragraph.text).join('\n');
+            if (cell.getAttribute('hMerge') === '1') {
+                grid[rowIndex][colIndex] = grid[rowIndex][colIndex - 1] || '';
+            } else if (cell.getAttribute('vMerge') === '1') {
+                grid[rowIndex][colIndex] = rowIndex > 0 ? grid[rowIndex - 1][colIndex] || '' : '';
+            } else {
+                grid[rowIndex][colIndex] = text;
+            }
+        });
+    });
+    return grid;
+}
+
+// 按文档顺序收集形状，组合形状展开
+function collectShapes(tree, relationships, result) {
+    for (const node of children(tree)) {
+        if (node.localName === 'grpSp') {
+            collectShapes(node, relationships, result);
+        } else if (node.localName === 'sp') {
+            const nvPr = child(child(node, 'nvSpPr'), 'nvPr');
+            const placeholder = child(nvPr, 'ph');
+            const type = placeholder ? placeholder.getAttribute('type') || 'body' : null;
+            if (type && SKIPPED_TYPES.has(type)) continue;
+
+            const paragraphs = readTextBody(child(node, 'txBody'), relationships,
+                type === 'body' || type === 'obj');
+            if (paragraphs.length === 0) continue;
+
+            if (type && TITLE_TYPES.has(type)) {
+                result.push({ kind: 'title', text: paragraphs.map(p => p.text).join(' ') });
+            } else {
+                result.push({ kind: 'text', paragraphs });
+            }
+        } else if (node.localName === 'pic') {
+            const cNvPr = child(child(node, 'nvPicPr'), 'cNvPr');
+            const blip = descendants(child(node, 'blipFill'), 'blip')[0];
+            const rel = blip && relationships.get(blip.getAttribute('r:embed'));
+            if (rel && !rel.external) {
+                result.push({
+                    kind: 'image',
+                    target: rel.target,
+                    alt: (cNvPr && (cNvPr.getAttribute('descr') || cNvPr.getAttribute('title'))) || ''
+                });
+            }
+        } else if (node.localName === 'graphicFrame') {
+            const table = descendants(node, 'tbl')[0];
+            if (table) {
+                result.push({ kind: 'table', rows: readTable(table, relationships) });
+            }
+        }
+    }
+    return result;
+}
+
+// 备注页中的正文占位符即演讲者备注
+async function readNotes(zip, notesPath) {
+    const file = zip.file(notesPath);
+    if (!file) return [];
+
+    const doc = parseXml(await file.async('string'));
+    const relationships = await readRelationships(zip, notesPath);
+    const notes = [];
+    for (const shape of descendants(doc, 'sp')) {
+        const placeholder = descendants(child(shape, 'nvSpPr'), 'ph')[0];
+        if (placeholder && (placeholder.getAttribute('type') || 'body') === 'body') {
+            notes.push(...readTextBody(child(shape, 'txBody'), relationships, false));
+        }
+    }
+    return notes;
+}
+
+/**
+ * 读取演示文稿
+ * @returns {Promise<{title: string, slides: Array<{number, hidden, title, shapes, notes}>, readMedia: Function}>}
+ *   shapes 为 title/text/image/table 形状，readMedia(target) 读取图片内容
+ */
+async function readPresentation(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentationPath = 'ppt/presentation.xml';
+    const presentationFile = zip.file(presentationPath);
+    if (!presentationFile) {
+        throw new Error('不是有效的 PPTX 文件（缺少 ppt/presentation.xml）');
+    }
+
+    const presentation = parseXml(await presentationFile.async('string'));
+    const presentationRels = await readRelationships(zip, presentationPath);
+
+    // 幻灯片顺序以 sldIdLst 为准，而不是文件名
+    const slidePaths = descendants(presentation, 'sldId')
+        .map(slideId => presentationRels.get(slideId.getAttribute('r:id')))
+        .filter(rel => rel && zip.file(rel.target))
+        .map(rel => rel.target);
+
+    const slides = [];
+    for (const [index, slidePath] of slidePaths.entries()) {
+        const doc = parseXml(await zip.file(slidePath).async('string'));
+        const relationships = await readRelationships(zip, slidePath);
+        const root = doc.documentElement;
+        const tree = child(child(root, 'cSld'), 'spTree');
+
+        const shapes = collectShapes(tree, relationships, []);
+        const title = shapes.find(shape => shape.kind === 'title');
+        const notesRel = Array.from(relationships.values()).find(rel => rel.type === 'notesSlide');
+
+        slides.push({
+            number: index + 1,
+            hidden: root.getAttribute('show') === '0',
+            title: title ? title.text : '',
+            shapes: shapes.filter(shape => shape !== title),
+            notes: notesRel ? await readNotes(zip, notesRel.target) : []
+        });
+    }
+
+    let title = '';
+    const core = zip.file('docProps/core.xml');
+    if (core) {
+        const titleNode = descendants(parseXml(await core.async('string')), 'title')[0];
+        title = titleNode ? titleNode.textContent.trim() : '';
+    }
+
+    return {
+        title,
+        slides,
+        readMedia: target => zip.file(target) ? zip.file(target).async('nodebuffer') : null
+    };
+}
+
+module.exports = {
+    readPresentation
+};
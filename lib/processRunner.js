@@ -0,0 +1,146 @@
+const { spawn } = require('child_process');
+
+const isWindows = process.platform === 'win32';
+
+// 结束进程及其所有子进程（soffice 等工具会再启动子进程）
+function killProcessTree(child) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+        return;
+    }
+
+    try {
+        if (isWindows) {
+            spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], {
+                stdio: 'ignore',
+                windowsHide: true
+            });
+        } else {
+            // 子进程以 detached 方式启动，拥有独立的进程组
+            process.kill(-child.pid, 'SIGKILL');
+        }
+    } catch (error) {
+        try {
+            child.kill('SIGKILL');
+        } catch (killError) {
+            // 进程已退出
+        }
+    }
+}
+
+/**
+ * 异步运行外部程序，参数直接传给程序而不经过 shell
+ * @param {string} command 可执行文件
+ * @param {string[]} args 参数列表
+ * @param {object} options cwd, env, timeout（毫秒，0 表示不限制）, signal（AbortSignal）, maxBuffer（字节）
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ *   非 0 退出码、超时（code=ETIMEDOUT）、取消（code=ABORT_ERR）时 reject
+ */
+function runProcess(command, args = [], options = {}) {
+    const { cwd, env, timeout = 0, signal, maxBuffer = 1024 * 1024 * 10 } = options;
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            const error = new Error(`${command} 已取消`);
+            error.code = 'ABORT_ERR';
+            reject(error);
+            return;
+        }
+
+        const child = spawn(command, args, {
+            cwd,
+            env: env ? { ...process.env, ...env } : process.env,
+            shell: false,
+            detached: !isWindows,
+            windowsHide: true,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        const stdout = [];
+        const stderr = [];
+        let outputSize = 0;
+        let failure = null;
+        let timer = null;
+
+        const finish = (error, code) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+
+            if (failure || error) {
+                reject(failure || error);
+                return;
+            }
+
+            const result = {
+                code,
+                stdout: Buffer.concat(stdout).toString('utf8'),
+                stderr: Buffer.concat(stderr).toString('utf8')
+            };
+
+            if (code !== 0) {
+                const exitError = new Error(`${command} 退出码 ${code}: ${result.stderr.trim() || result.stdout.trim()}`);
+                exitError.exitCode = code;
+                exitError.stderr = result.stderr;
+                reject(exitError);
+            } else {
+                resolve(result);
+            }
+        };
+
+        const abort = (error) => {
+            if (!failure) {
+                failure = error;
+                killProcessTree(child);
+            }
+        };
+
+        const collect = (chunks) => (data) => {
+            outputSize += data.length;
+            if (outputSize > maxBuffer) {
+                const error = new Error(`${command} 输出超过 ${maxBuffer} 字节`);
+                error.code = 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER';
+                abort(error);
+                return;
+            }
+            chunks.push(data);
+        };
+
+        function onAbort() {
+            const error = new Error(`${command} 已取消`);
+            error.code = 'ABORT_ERR';
+            abort(error);
+        }
+
+        child.stdout.on('data', collect(stdout));
+        child.stderr.on('data', collect(stderr));
+        child.on('error', (error) => finish(error));
+        child.on('close', (code, exitSignal) => finish(null, code === null ? exitSignal : code));
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                const error = new Error(`${command} 执行超时 (${timeout}ms)`);
+                error.code = 'ETIMEDOUT';
+                abort(error);
+            }, timeout);
+        }
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// 检测命令是否可用（能启动且退出码为 0）
+async function isCommandAvailable(command, args = ['--version'], timeout = 10000) {
+    try {
+        await runProcess(command, args, { timeout });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    runProcess,
+    killProcessTree,
+    isCommandAvailable
+};
@@ -0,0 +1,291 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const DocumentConverter = require('./documentConverter');
+const FileWatcher = require('./fileWatcher');
+
+const PROFILE_NAME_REGEX = /^[\w.-]+$/;
+const FORWARDED_EVENTS = ['fileProcessed', 'jobUpdated', 'pruneCompleted'];
+
+class ProfileError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * 同步配置管理：每个配置有独立的源目录、输出目录、忽略规则、转换选项和 FileWatcher。
+ * 配置文件格式:
+ *   {
+ *     "defaultProfile": "product",
+ *     "profiles": [
+ *       { "name": "product", "source": "./kb/product", "target": "./kb_markdown/product",
+ *         "ignore": ["drafts/", "*.tmp"], "converter": { "chunking": { "maxChars": 1200 } },
+ *         "prune": { "allowlist": ["README.md"], "onStartup": false }, "paused": false }
+ *     ]
+ *   }
+ * 相对路径以配置文件所在目录为基准。运行时的增删、暂停会写回配置文件。
+ * 事件: fileProcessed / jobUpdated / pruneCompleted（数据带 profile 字段）, profileError(name, error)
+ */
+class ProfileManager extends EventEmitter {
+    /**
+     * @param {string} configPath 配置文件路径
+     * @param {object} options fallback: 配置文件不存在时使用的默认配置
+     */
+    constructor(configPath, options = {}) {
+        super();
+        this.configPath = configPath;
+        this.baseDir = path.dirname(configPath);
+        this.fallback = options.fallback || null;
+        this.profiles = new Map(); // name -> { config, converter, watcher, paused }
+        this.defaultProfile = null;
+        this.saving = Promise.resolve();
+    }
+
+    // 读取并校验配置文件，返回 { defaultProfile, profiles }，文件不存在时返回 null
+    static readConfig(configPath) {
+        if (!fs.pathExistsSync(configPath)) {
+            return null;
+        }
+
+        const data = fs.readJsonSync(configPath);
+        if (!Array.isArray(data.profiles)) {
+            throw new ProfileError(`配置文件缺少 profiles 数组: ${configPath}`);
+        }
+        return {
+            defaultProfile: data.defaultProfile || null,
+            profiles: data.profiles
+        };
+    }
+
+    // 启动时同步加载配置，创建各配置的 FileWatcher（不启动监控）
+    load() {
+        const data = ProfileManager.readConfig(this.configPath) || {
+            defaultProfile: null,
+            profiles: this.fallback ? [this.fallback] : []
+        };
+
+        for (const config of data.profiles) {
+            this.create(config);
+        }
+
+        this.defaultProfile = data.defaultProfile && this.profiles.has(data.defaultProfile)
+            ? data.defaultProfile
+            : (this.profiles.keys().next().value || null);
+
+        console.log(`已加载 ${this.profiles.size} 个同步配置，默认配置: ${this.defaultProfile}`);
+    }
+
+    // 启动所有未暂停配置的监控
+    startAll() {
+        for (const profile of this.profiles.values()) {
+            if (!profile.paused) {
+                profile.watcher.start();
+            }
+        }
+    }
+
+    // 校验配置并补全默认值
+    normalize(config) {
+        if (!config || typeof config !== 'object') {
+            throw new ProfileError('配置必须是对象');
+        }
+        if (!config.name || !PROFILE_NAME_REGEX.test(config.name)) {
+            throw new ProfileError('配置名称只能包含字母、数字、下划线、点和连字符');
+        }
+        if (!config.source || !config.target) {
+            throw new ProfileError(`配置 ${config.name} 缺少 source 或 target`);
+        }
+        if (config.ignore !== undefined && !Array.isArray(config.ignore)) {
+            throw new ProfileError(`配置 ${config.name} 的 ignore 必须是数组`);
+        }
+
+        return {
+            name: config.name,
+            source: config.source,
+            target: config.target,
+            ignore: config.ignore || [],
+            converter: config.converter || {},
+            prune: config.prune || {},
+            manifestPath: config.manifestPath || null,
+            paused: !!config.paused
+        };
+    }
+
+    resolvePath(filePath) {
+        return path.resolve(this.baseDir, filePath);
+    }
+
+    // 为配置创建转换器和 FileWatcher（不启动监控）
+    static createWatcher(config, baseDir) {
+        const converter = new DocumentConverter(config.converter);
+        const watcher = new FileWatcher(
+            path.resolve(baseDir, config.source),
+            path.resolve(baseDir, config.target),
+            converter,
+            {
+                ignore: config.ignore,
+                prune: config.prune,
+                manifestPath: config.manifestPath ? path.resolve(baseDir, config.manifestPath) : null
+            }
+        );
+        return { converter, watcher };
+    }
+
+    create(rawConfig) {
+        const config = this.normalize(rawConfig);
+        if (this.profiles.has(config.name)) {
+            throw new ProfileError(`配置已存在: ${config.name}`, 409);
+        }
+
+        // 多个配置不能共用转换清单，共用输出目录会互相清理对方的输出
+        const targetDir = this.resolvePath(config.target);
+        const manifestPath = config.manifestPath
+            ? this.resolvePath(config.manifestPath)
+            : path.join(targetDir, '.docconv-manifest.json');
+        for (const other of this.profiles.values()) {
+            if (other.watcher.manifest.manifestPath === manifestPath) {
+                throw new ProfileError(`转换清单已被配置 ${other.config.name} 使用，请为新配置指定其他 manifestPath`, 409);
+            }
+            if (other.watcher.targetDir === targetDir) {
+                throw new ProfileError(`输出目录已被配置 ${other.config.name} 使用`, 409);
+            }
+        }
+
+        fs.ensureDirSync(targetDir);
+        const { converter, watcher } = ProfileManager.createWatcher(config, this.baseDir);
+        const profile = { config, converter, watcher, paused: config.paused };
+
+        FORWARDED_EVENTS.forEach((type) => {
+            watcher.on(type, (data) => this.emit(type, { ...data, profile: config.name }));
+        });
+        watcher.on('error', (error) => this.emit('profileError', config.name, error));
+
+        this.profiles.set(config.name, profile);
+        return profile;
+    }
+
+    get(name) {
+        const profile = this.profiles.get(name || this.defaultProfile);
+        if (!profile) {
+            throw new ProfileError(`配置不存在: ${name || '(默认)'}`, 404);
+        }
+        return profile;
+    }
+
+    getSummary(profile) {
+        return {
+            name: profile.config.name,
+            sourceDir: profile.watcher.sourceDir,
+            targetDir: profile.watcher.targetDir,
+            ignore: profile.config.ignore,
+            converter: profile.config.converter,
+            paused: profile.paused,
+            watching: profile.watcher.isWatching,
+            isDefault: profile.config.name === this.defaultProfile,
+            queueDepth: profile.watcher.queue.getStatus().depth
+        };
+    }
+
+    list() {
+        return Array.from(this.profiles.values(), profile => this.getSummary(profile));
+    }
+
+    // 运行时添加配置，源目录必须已存在
+    async add(rawConfig) {
+        const config = this.normalize(rawConfig);
+        if (!(await fs.pathExists(this.resolvePath(config.source)))) {
+            throw new ProfileError(`源目录不存在: ${config.source}`);
+        }
+
+        const profile = this.create(config);
+        if (!this.defaultProfile) {
+            this.defaultProfile = config.name;
+        }
+        if (!profile.paused) {
+            profile.watcher.start();
+        }
+
+        await this.save();
+        return this.getSummary(profile);
+    }
+
+    async pause(name) {
+        const profile = this.get(name);
+        if (!profile.paused) {
+            profile.paused = true;
+            await profile.watcher.stop();
+            await this.save();
+        }
+        return this.getSummary(profile);
+    }
+
+    async resume(name) {
+        const profile = this.get(name);
+        if (profile.paused) {
+            profile.paused = false;
+            profile.watcher.start();
+            await this.save();
+        }
+        return this.getSummary(profile);
+    }
+
+    // 删除配置只停止监控，不删除已生成的输出
+    async remove(name) {
+        const profile = this.get(name);
+        await profile.watcher.stop();
+        profile.watcher.removeAllListeners();
+        this.profiles.delete(profile.config.name);
+
+        if (this.defaultProfile === profile.config.name) {
+            this.defaultProfile = this.profiles.keys().next().value || null;
+        }
+
+        await this.save();
+        return this.getSummary(profile);
+    }
+
+    async setSourceDir(name, sourceDir) {
+        const profile = this.get(name);
+        profile.config.source = sourceDir;
+        await profile.watcher.updateSourceDir(sourceDir);
+        if (profile.paused) {
+            await profile.watcher.stop();
+        }
+        await this.save();
+        return this.getSummary(profile);
+    }
+
+    // 串行写回配置文件
+    save() {
+        this.saving = this.saving
+            .then(() => this.write())
+            .catch(error => {
+                console.error('保存同步配置失败:', error.message);
+            });
+        return this.saving;
+    }
+
+    async write() {
+        const data = {
+            defaultProfile: this.defaultProfile,
+            profiles: Array.from(this.profiles.values(), profile => ({
+                ...profile.config,
+                paused: profile.paused
+            }))
+        };
+        const tempPath = `${this.configPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(tempPath, this.configPath);
+    }
+
+    // 停止所有配置的监控，队列状态和转换清单保存完成后返回
+    async stopAll() {
+        await Promise.all(Array.from(this.profiles.values(), profile => profile.watcher.stop()));
+    }
+}
+
+ProfileManager.ProfileError = ProfileError;
+
+module.exports = ProfileManager;
@@ -0,0 +1,169 @@
+// 源代码文件：扩展名对应的代码块语言，以及按顶层符号（函数、类等）拆分。
+// 拆分基于行首的定义语句和缩进/括号等简单规则，不做完整的语法分析
+
+const JS_SYMBOLS = [
+    /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function|class|interface|type|enum|namespace)\*?\s+([A-Za-z_$][\w$]*)/,
+    /^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|class\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/
+];
+
+// symbols 为行首定义语句的正则（第一个分组为种类、第二个为名称；只有一个分组时为名称），
+// end 为判断定义结束的方式：brace 括号配对，indent 回到行首，end 行首的 end，statement 以分号结束的语句
+const LANGUAGES = {
+    '.js': { language: 'javascript', symbols: JS_SYMBOLS, end: 'brace' },
+    '.mjs': { language: 'javascript', symbols: JS_SYMBOLS, end: 'brace' },
+    '.cjs': { language: 'javascript', symbols: JS_SYMBOLS, end: 'brace' },
+    '.jsx': { language: 'jsx', symbols: JS_SYMBOLS, end: 'brace' },
+    '.ts': { language: 'typescript', symbols: JS_SYMBOLS, end: 'brace' },
+    '.tsx': { language: 'tsx', symbols: JS_SYMBOLS, end: 'brace' },
+    '.py': { language: 'python', symbols: [/^(?:async\s+)?(def|class)\s+(\w+)/], end: 'indent' },
+    '.lua': {
+        language: 'lua',
+        symbols: [/^(?:local\s+)?(function)\s+([\w.:]+)/, /^(?:local\s+)?([\w.]+)\s*=\s*function\b/],
+        end: 'end'
+    },
+    '.sql': {
+        language: 'sql',
+        symbols: [/^(?:CREATE|ALTER)\s+(?:OR\s+REPLACE\s+)?(?:TEMP(?:ORARY)?\s+)?(?:MATERIALIZED\s+)?(?:UNIQUE\s+)?(TABLE|VIEW|FUNCTION|PROCEDURE|TRIGGER|INDEX|TYPE|SEQUENCE|SCHEMA)\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w."`[\]]+)/i],
+        end: 'statement'
+    },
+    '.sh': { language: 'bash', symbols: [/^(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)/, /^function\s+([A-Za-z_][\w-]*)/], end: 'brace' },
+    '.bash': { language: 'bash', symbols: [/^(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)/, /^function\s+([A-Za-z_][\w-]*)/], end: 'brace' },
+    '.go': { language: 'go', symbols: [/^(func)\s+(?:\([^)]*\)\s*)?(\w+)/, /^(type)\s+(\w+)/], end: 'brace' },
+    '.rs': {
+        language: 'rust',
+        symbols: [/^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?(fn|struct|enum|trait|mod|impl)\b\s*(?:<[^>]*>\s*)?([\w:]+)/],
+        end: 'brace'
+    },
+    '.rb': { language: 'ruby', symbols: [/^(def|class|module)\s+([\w.:?!=]+)/], end: 'end' },
+    '.php': { language: 'php', symbols: [/^(?:(?:abstract|final)\s+)?(function|class|interface|trait|enum)\s+(\w+)/], end: 'brace' },
+    // 以下语言的定义形式较多，整个文件输出为一个代码块
+    '.java': { language: 'java' },
+    '.kt': { language: 'kotlin' },
+    '.swift': { language: 'swift' },
+    '.cs': { language: 'csharp' },
+    '.c': { language: 'c' },
+    '.h': { language: 'c' },
+    '.cpp': { language: 'cpp' },
+    '.hpp': { language: 'cpp' }
+};
+
+// 定义前紧邻的注释、文档注释、装饰器和属性归入该定义
+const LEADING_REGEX = /^(\/\/|\/\*|#|--|@)|^\s+\*/;
+
+function matchSymbol(line, symbols) {
+    for (const regex of symbols) {
+        const match = line.match(regex);
+        if (match) {
+            return match[2] === undefined
+                ? { kind: 'function', name: match[1] }
+                : { kind: match[1], name: match[2] };
+        }
+    }
+    return null;
+}
+
+// 去掉字符串和行注释后的括号差值
+function braceDelta(line) {
+    const stripped = line
+        .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, '""')
+        .replace(/\/\*.*?\*\//g, '')
+        .replace(/\/\/.*$/, '');
+    return (stripped.match(/\{/g) || []).length - (stripped.match(/\}/g) || []).length;
+}
+
+// 从 start 行开始的定义在哪一行结束（不超过 limit）
+function findEnd(lines, start, limit, style) {
+    if (style === 'indent') {
+        let end = start;
+        for (let i = start + 1; i <= limit; i++) {
+            if (!lines[i].trim()) continue;
+            if (/^\S/.test(lines[i]) && !/^[)\]}#]/.test(lines[i])) break;
+            end = i;
+        }
+        return end;
+    }
+
+    if (style === 'end') {
+        if (/\bend\b[\s)\],;]*$/.test(lines[start])) return start;
+        for (let i = start + 1; i <= limit; i++) {
+            if (/^end\b/.test(lines[i])) return i;
+        }
+        return limit;
+    }
+
+    if (style === 'statement') {
+        let dollarQuoted = false;
+        for (let i = start; i <= limit; i++) {
+            if (((lines[i].match(/\$\$/g) || []).length % 2) === 1) dollarQuoted = !dollarQuoted;
+            if (!dollarQuoted && (/;\s*(--.*)?$/.test(lines[i]) || /^GO\s*$/i.test(lines[i]))) return i;
+        }
+        return limit;
+    }
+
+    let depth = 0;
+    let opened = false;
+    for (let i = start; i <= limit; i++) {
+        depth += braceDelta(lines[i]);
+        opened = opened || lines[i].includes('{');
+        if (opened && depth <= 0) return i;
+        if (!opened) {
+            // 没有函数体的单行定义，如 type Id = string; 或 const add = (a, b) => a + b;
+            const next = lines.slice(i + 1, limit + 1).find(line => line.trim());
+            if (/;\s*$/.test(lines[i]) || next === undefined ||
+                (/^\S/.test(next) && !next.startsWith('{') && !/[,(=+\-*/&|?:.>]\s*$/.test(lines[i]))) {
+                return i;
+            }
+        }
+    }
+    return limit;
+}
+
+/**
+ * 按顶层符号拆分源代码
+ * @param {string} code 源代码
+ * @param {string} ext 扩展名（小写，含点）
+ * @returns {Array<{kind: string|null, name: string|null, code: string}>} 定义之外的代码 kind 和 name 为 null；
+ *   没有识别到定义或语言不支持拆分时只有一段
+ */
+function splitSymbols(code, ext) {
+    const lines = code.replace(/\r\n?/g, '\n').split('\n');
+    const config = LANGUAGES[ext] || {};
+    const starts = [];
+
+    if (config.symbols) {
+        lines.forEach((line, index) => {
+            const symbol = matchSymbol(line, config.symbols);
+            if (!symbol) return;
+            let first = index;
+            const previousEnd = starts.length ? starts[starts.length - 1].line : -1;
+            while (first - 1 > previousEnd && lines[first - 1].trim() && LEADING_REGEX.test(lines[first - 1])) {
+                first--;
+            }
+            starts.push({ ...symbol, line: index, first });
+        });
+    }
+
+    const segments = [];
+    const pushOther = (from, to) => {
+        const text = lines.slice(from, to + 1).join('\n');
+        if (text.trim()) segments.push({ kind: null, name: null, code: text });
+    };
+
+    let position = 0;
+    starts.forEach((symbol, index) => {
+        // 定义最多延伸到下一个定义（连同其前面的注释）之前
+        const limit = index + 1 < starts.length ? starts[index + 1].first - 1 : lines.length - 1;
+        pushOther(position, symbol.first - 1);
+        const end = findEnd(lines, symbol.line, limit, config.end);
+        segments.push({ kind: symbol.kind, name: symbol.name, code: lines.slice(symbol.first, end + 1).join('\n') });
+        position = end + 1;
+    });
+    pushOther(position, lines.length - 1);
+
+    return segments.length > 0 ? segments : [{ kind: null, name: null, code }];
+}
+
+module.exports = {
+    LANGUAGES,
+    splitSymbols
+};
@@ -0,0 +1,88 @@
+// 结构化数据解析：JSON、YAML、XML 统一解析为 JavaScript 对象，
+// 无法解析（如格式错误、不认识的 YAML 标签）时抛出错误，由调用方退回代码块
+
+const { DOMParser } = require('@xmldom/xmldom');
+const yaml = require('js-yaml');
+
+function parseJson(text) {
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+// ---------- YAML ----------
+
+// core schema 加上合并键（<<: *base），日期等保持为字符串
+const YAML_SCHEMA = yaml.CORE_SCHEMA.extend({ implicit: [yaml.types.merge] });
+
+/**
+ * 解析 YAML（js-yaml，支持锚点、别名和合并键），不认识的标签（如 !!binary、自定义标签）抛出错误
+ * @returns {*} 只有一个文档时返回该文档，多个文档时返回数组
+ */
+function parseYaml(text) {
+    const results = yaml.loadAll(text.replace(/^\uFEFF/, ''), null, { schema: YAML_SCHEMA })
+        .filter(document => document !== null && document !== undefined);
+    return results.length === 1 ? results[0] : results;
+}
+
+// ---------- XML ----------
+
+/**
+ * XML 转为对象：属性记为 "@名称"，同名子元素合并为数组，只有文本的元素直接为字符串，
+ * 同时有文本和子元素时文本记为 "#text"
+ * @returns {object} { 根元素名: 内容 }
+ */
+function parseXml(text) {
+    const errors = [];
+    const doc = new DOMParser({
+        errorHandler: {
+            warning: () => {},
+            error: message => errors.push(message),
+            fatalError: message => errors.push(message)
+        }
+    }).parseFromString(text.replace(/^\uFEFF/, ''), 'text/xml');
+    const root = doc.documentElement;
+    if (errors.length > 0 || !root) {
+        throw new Error(`XML 格式错误: ${errors[0] || '没有根元素'}`);
+    }
+    return { [root.nodeName]: elementToValue(root) };
+}
+
+function elementToValue(element) {
+    const result = {};
+    for (const attribute of Array.from(element.attributes || [])) {
+        if (attribute.name === 'xmlns' || attribute.name.startsWith('xmlns:')) continue;
+        result[`@${attribute.name}`] = attribute.value;
+    }
+
+    let text = '';
+    const lists = new Set();
+    for (const node of Array.from(element.childNodes || [])) {
+        if (node.nodeType === 1) {
+            const value = elementToValue(node);
+            if (lists.has(node.nodeName)) {
+                result[node.nodeName].push(value);
+            } else if (Object.prototype.hasOwnProperty.call(result, node.nodeName)) {
+                result[node.nodeName] = [result[node.nodeName], value];
+                lists.add(node.nodeName);
+            } else {
+                result[node.nodeName] = value;
+            }
+        } else if (node.nodeType === 3 || node.nodeType === 4) {
+            text += node.nodeValue;
+        }
+    }
+
+    text = text.replace(/\s+/g, ' ').trim();
+    if (Object.keys(result).length === 0) {
+        return text;
+    }
+    if (text) {
+        result['#text'] = text;
+    }
+    return result;
+}
+
+module.exports = {
+    parseJson,
+    parseYaml,
+    parseXml
+};
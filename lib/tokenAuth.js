@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+
+// 角色等级：admin 可执行所有操作，read 只能查询和接收 WebSocket 推送
+const ROLES = {
+    read: 1,
+    admin: 2
+};
+
+class AuthError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest();
+
+/**
+ * Bearer Token 认证。没有配置任何 token 时不启用认证，保持原有行为
+ */
+class TokenAuth {
+    /**
+     * @param {Array<{token: string, role: string, name?: string}>} tokens
+     */
+    constructor(tokens = []) {
+        this.tokens = tokens.map((entry, index) => {
+            if (!entry.token || !ROLES[entry.role]) {
+                throw new Error(`无效的 API token 配置（第 ${index + 1} 项）：需要 token 和 role（read 或 admin）`);
+            }
+            return {
+                hash: hashToken(entry.token),
+                role: entry.role,
+                name: entry.name || `${entry.role}-${index + 1}`
+            };
+        });
+    }
+
+    /**
+     * 从环境变量读取 token：
+     *   API_TOKENS="token1:admin:alice,token2:read:dashboard"
+     *   API_TOKENS_FILE=tokens.json（[{ "token": "...", "role": "admin", "name": "alice" }]）
+     */
+    static fromEnv(env = process.env) {
+        const tokens = [];
+
+        if (env.API_TOKENS_FILE) {
+            tokens.push(...fs.readJsonSync(env.API_TOKENS_FILE));
+        }
+
+        (env.API_TOKENS || '').split(',').map(item => item.trim()).filter(Boolean).forEach((item) => {
+            const [token, role = 'admin', name] = item.split(':');
+            tokens.push({ token, role, name });
+        });
+
+        return new TokenAuth(tokens);
+    }
+
+    get enabled() {
+        return this.tokens.length > 0;
+    }
+
+    // 比较哈希值，避免逐字符比较泄露 token 长度和内容
+    verify(token) {
+        if (!token) return null;
+        const hash = hashToken(token);
+        const entry = this.tokens.find(item => crypto.timingSafeEqual(item.hash, hash));
+        return entry ? { name: entry.name, role: entry.role } : null;
+    }
+
+    // Authorization: Bearer <token>。浏览器的 WebSocket 无法设置请求头，只有握手请求（allowQuery）接受 ?token=，
+    // 避免 token 出现在普通接口的地址、代理日志和浏览器历史中
+    static getRequestToken(req, { allowQuery = false } = {}) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (match) {
+            return match[1].trim();
+        }
+        if (!allowQuery) {
+            return null;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+
+    /**
+     * 认证请求并检查角色
+     * @param {{allowQuery?: boolean}} options allowQuery 为 true 时也接受 ?token=（仅用于 WebSocket 握手）
+     * @returns {{name: string, role: string}} 未启用认证时返回匿名管理员
+     * @throws {AuthError} 401 缺少或无效 token，403 权限不足
+     */
+    authenticate(req, requiredRole = 'read', options = {}) {
+        if (!this.enabled) {
+            return { name: 'anonymous', role: 'admin' };
+        }
+
+        const user = this.verify(TokenAuth.getRequestToken(req, options));
+        if (!user) {
+            throw new AuthError('缺少或无效的 API token', 401);
+        }
+        if (!TokenAuth.hasRole(user, requiredRole)) {
+            throw new AuthError(`需要 ${requiredRole} 权限`, 403);
+        }
+        return user;
+    }
+
+    static hasRole(user, role) {
+        return !!user && ROLES[user.role] >= ROLES[role];
+    }
+}
+
+TokenAuth.ROLES = ROLES;
+TokenAuth.AuthError = AuthError;
+
+module.exports = TokenAuth;
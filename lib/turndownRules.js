@@ -0,0 +1,159 @@
+// TurndownService 的附加规则：GFM 表格（含合并单元格）、脚注/尾注、Word 批注
+
+const NOTE_REF_REGEX = /^#(footnote|endnote)-(\d+)$/;
+const NOTE_ID_REGEX = /^(footnote|endnote)-(\d+)$/;
+const NOTE_BACKLINK_REGEX = /^#(footnote|endnote|comment)-ref-\d+$/;
+const COMMENT_REF_REGEX = /^#comment-\d+$/;
+
+// 脚注使用编号，尾注加 e 前缀，避免两者编号冲突
+const noteLabel = (type, id) => type === 'endnote' ? `e${id}` : id;
+
+const escapeCell = (text) => text
+    .trim()
+    .replace(/\|/g, '\\|')
+    .replace(/\s*\n+\s*/g, '<br>');
+
+// 表格自身的行：table 及其 thead/tbody/tfoot 下的 tr，不含嵌套表格的行（由内层表格的规则处理）
+function ownRows(table) {
+    const rows = [];
+    for (const child of Array.from(table.childNodes || [])) {
+        if (child.nodeName === 'TR') {
+            rows.push(child);
+        } else if (['THEAD', 'TBODY', 'TFOOT'].includes(child.nodeName)) {
+            rows.push(...Array.from(child.childNodes).filter(node => node.nodeName === 'TR'));
+        }
+    }
+    return rows;
+}
+
+// HTML 规范规定的合并单元格上限，超出的值按上限处理，避免异常值展开出巨大的表格
+const MAX_COLSPAN = 1000;
+const MAX_ROWSPAN = 65534;
+
+/**
+ * 把表格展开为二维数组，合并单元格（colspan/rowspan）覆盖的每个位置都填入同样的内容，
+ * 这样每一行单独拿出来（例如 RAG 分块）仍然完整
+ */
+function tableToGrid(table, convertCell) {
+    const grid = [];
+    const rows = ownRows(table);
+
+    rows.forEach((row, rowIndex) => {
+        grid[rowIndex] = grid[rowIndex] || [];
+        let colIndex = 0;
+
+        for (const cell of Array.from(row.childNodes).filter(node => node.nodeName === 'TD' || node.nodeName === 'TH')) {
+            // 跳过上方单元格 rowspan 已占用的位置
+            while (grid[rowIndex][colIndex] !== undefined) colIndex++;
+
+            const text = escapeCell(convertCell(cell));
+            const colSpan = Math.min(MAX_COLSPAN, Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1));
+            const rowSpan = Math.min(MAX_ROWSPAN, Math.max(1, parseInt(cell.getAttribute('rowspan'), 10) || 1));
+
+            for (let r = 0; r < rowSpan && rowIndex + r < rows.length; r++) {
+                grid[rowIndex + r] = grid[rowIndex + r] || [];
+                for (let c = 0; c < colSpan; c++) {
+                    grid[rowIndex + r][colIndex + c] = text;
+                }
+            }
+            colIndex += colSpan;
+        }
+    });
+
+    return grid;
+}
+
+function gridToMarkdown(grid) {
+    const columns = Math.max(...grid.map(row => row.length));
+    const line = (row) => '| ' + Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ') + ' |';
+
+    // GFM 表格必须有表头，第一行作为表头
+    const lines = [line(grid[0]), '|' + ' --- |'.repeat(columns)];
+    grid.slice(1).forEach(row => lines.push(line(row)));
+    return lines.join('\n');
+}
+
+/**
+ * 表格输出为 GFM 表格
+ */
+function addTableRule(turndownService) {
+    turndownService.addRule('gfmTable', {
+        filter: 'table',
+        replacement(content, node) {
+            const grid = tableToGrid(node, cell => turndownService.turndown(cell.innerHTML));
+            if (grid.length === 0 || grid.every(row => row.length === 0)) {
+                return '';
+            }
+            return `\n\n${gridToMarkdown(grid)}\n\n`;
+        }
+    });
+}
+
+/**
+ * mammoth 生成的脚注、尾注输出为 Markdown 脚注 [^1]，批注输出为引用块
+ */
+function addNoteRules(turndownService) {
+    // 正文中的脚注引用
+    turndownService.addRule('noteReference', {
+        filter: node => node.nodeName === 'A' && NOTE_REF_REGEX.test(node.getAttribute('href') || ''),
+        replacement(content, node) {
+            const [, type, id] = node.getAttribute('href').match(NOTE_REF_REGEX);
+            return `[^${noteLabel(type, id)}]`;
+        }
+    });
+
+    // 脚注、批注末尾返回正文的 ↑ 链接
+    turndownService.addRule('noteBacklink', {
+        filter: node => node.nodeName === 'A' && NOTE_BACKLINK_REGEX.test(node.getAttribute('href') || ''),
+        replacement: () => ''
+    });
+
+    // 脚注列表
+    turndownService.addRule('noteList', {
+        filter: node => node.nodeName === 'OL' && node.firstElementChild &&
+            NOTE_ID_REGEX.test(node.firstElementChild.getAttribute('id') || ''),
+        replacement: content => `\n\n${content.trim()}\n\n`
+    });
+
+    turndownService.addRule('noteDefinition', {
+        filter: node => node.nodeName === 'LI' && NOTE_ID_REGEX.test(node.getAttribute('id') || ''),
+        replacement(content, node) {
+            const [, type, id] = node.getAttribute('id').match(NOTE_ID_REGEX);
+            // 多段脚注的后续段落缩进四个空格
+            const text = content.trim().replace(/\n\n/g, '\n\n    ');
+            return `[^${noteLabel(type, id)}]: ${text}\n`;
+        }
+    });
+
+    // 正文中的批注标记保留为 [MW1] 这样的文本，便于与文末批注对应
+    turndownService.addRule('commentReference', {
+        filter: node => node.nodeName === 'A' && COMMENT_REF_REGEX.test(node.getAttribute('href') || ''),
+        replacement: (content, node) => node.textContent
+    });
+
+    // 批注列表：每条批注输出为引用块
+    turndownService.addRule('commentList', {
+        filter: node => node.nodeName === 'DL' && node.firstElementChild &&
+            /^comment-\d+$/.test(node.firstElementChild.getAttribute('id') || ''),
+        replacement(content, node) {
+            const quotes = [];
+            let label = '';
+
+            for (const child of Array.from(node.children)) {
+                if (child.nodeName === 'DT') {
+                    label = child.textContent.replace(/^Comment\s*/, '').trim();
+                } else if (child.nodeName === 'DD') {
+                    const text = turndownService.turndown(child.innerHTML).trim();
+                    quotes.push(`> **批注 ${label}**: ${text.replace(/\n/g, '\n> ')}`);
+                }
+            }
+
+            return `\n\n${quotes.join('\n\n')}\n\n`;
+        }
+    });
+}
+
+module.exports = {
+    addTableRule,
+    addNoteRules
+};
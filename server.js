@@ -5,21 +5,130 @@ const chokidar = require('chokidar');
 const WebSocket = require('ws');
 const http = require('http');
 const cors = require('cors');
-const DocumentConverter = require('./lib/documentConverter');
-const FileWatcher = require('./lib/fileWatcher');
+const multer = require('multer');
+const mime = require('mime-types');
+const ProfileManager = require('./lib/profileManager');
+const GitSync = require('./lib/gitSync');
+const PathSandbox = require('./lib/pathSandbox');
+const TokenAuth = require('./lib/tokenAuth');
+const AuditLog = require('./lib/auditLog');
+const sourceCode = require('./lib/sourceCode');
+
+// 浏览器和操作系统常见的其他 MIME 类型（例如 Windows 上 CSV 报告为 Excel 类型）
+const MIME_ALIASES = {
+    '.csv': ['application/vnd.ms-excel', 'text/plain', 'text/x-csv', 'application/csv'],
+    '.tsv': ['text/plain', 'text/tsv'],
+    '.rtf': ['text/rtf'],
+    '.htm': ['text/html'],
+    '.xlsm': ['application/vnd.ms-excel.sheet.macroEnabled.12'],
+    '.eml': ['text/plain'],
+    '.mbox': ['text/plain', 'application/mbox'],
+    '.json': ['text/plain', 'text/json'],
+    '.yaml': ['text/plain', 'application/yaml', 'application/x-yaml', 'text/x-yaml'],
+    '.yml': ['text/plain', 'application/yaml', 'application/x-yaml', 'text/x-yaml'],
+    '.xml': ['text/xml', 'text/plain'],
+    '.md': ['text/plain', 'text/x-markdown'],
+    '.markdown': ['text/plain', 'text/x-markdown'],
+    '.js': ['text/javascript'],
+    '.mjs': ['text/javascript']
+};
+// 源代码文件通常报告为 text/plain 或 text/x-<语言>
+for (const [ext, { language }] of Object.entries(sourceCode.LANGUAGES)) {
+    MIME_ALIASES[ext] = [...(MIME_ALIASES[ext] || []), 'text/plain', `text/x-${language}`];
+}
+
+// 检查上传文件的扩展名与 MIME 类型是否一致，返回错误信息，通过时返回 null
+function checkUploadType(fileName, mimeType, converter) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (!converter.isSupported(fileName)) {
+        return `不支持的文件格式: ${ext || fileName}`;
+    }
+
+    // 无法识别类型的客户端会发送 application/octet-stream
+    const type = (mimeType || '').toLowerCase();
+    if (!type || type === 'application/octet-stream') {
+        return null;
+    }
+
+    const expected = [mime.lookup(ext), ...(MIME_ALIASES[ext] || [])]
+        .filter(Boolean)
+        .map(item => item.toLowerCase());
+    const extensions = mime.extensions[type] || [];
+    if (expected.includes(type) || extensions.includes(ext.slice(1))) {
+        return null;
+    }
+    return `文件类型 ${type} 与扩展名 ${ext} 不符`;
+}
 
 class DocumentConverterServer {
     constructor() {
         this.app = express();
         this.server = http.createServer(this.app);
-        this.wss = new WebSocket.Server({ server: this.server });
         this.port = process.env.PORT || 3000;
         
-        this.sourceDir = path.join(__dirname, 'data');
-        this.targetDir = path.join(__dirname, 'data_markdown');
+        // API 认证：配置了 API_TOKENS 或 API_TOKENS_FILE 时启用，WebSocket 握手同样需要 token
+        this.auth = TokenAuth.fromEnv();
+        this.auditLog = new AuditLog(process.env.AUDIT_LOG
+            ? path.resolve(process.env.AUDIT_LOG)
+            : path.join(__dirname, 'logs', 'audit.jsonl'));
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            verifyClient: (info, done) => this.verifyWebSocketClient(info, done)
+        });
         
-        this.converter = new DocumentConverter();
-        this.fileWatcher = new FileWatcher(this.sourceDir, this.targetDir, this.converter);
+        // 同步配置：每个配置有独立的源目录、输出目录和 FileWatcher。
+        // 没有配置文件时使用默认配置 data -> data_markdown
+        const configPath = process.env.PROFILES_CONFIG
+            ? path.resolve(process.env.PROFILES_CONFIG)
+            : path.join(__dirname, 'profiles.json');
+        this.profiles = new ProfileManager(configPath, {
+            fallback: {
+                name: 'default',
+                source: path.join(__dirname, 'data'),
+                target: path.join(__dirname, 'data_markdown'),
+                prune: {
+                    onStartup: process.env.PRUNE_ON_STARTUP === '1',
+                    allowlist: (process.env.PRUNE_ALLOWLIST || '').split(',').map(item => item.trim()).filter(Boolean)
+                }
+            }
+        });
+        this.profiles.load();
+        
+        // 路径沙箱：API 中的路径必须位于允许的根目录内。未配置 ALLOWED_ROOTS 时
+        // 只允许配置文件中各配置的源目录和输出目录（项目目录含配置文件、token 文件和审计日志，不在其中）
+        const allowedRoots = (process.env.ALLOWED_ROOTS || '').split(path.delimiter).map(item => item.trim()).filter(Boolean);
+        this.sandbox = new PathSandbox(allowedRoots.length > 0
+            ? allowedRoots
+            : this.profiles.list().flatMap(profile => [profile.sourceDir, profile.targetDir]));
+        
+        // Keepwork git 仓库同步（通过环境变量配置），同步 KEEPWORK_PROFILE 指定配置（默认为默认配置）的输出目录
+        // 配置不存在（如 KEEPWORK_PROFILE 写错或 profiles 为空）时禁用 git 同步，不影响服务启动
+        this.gitSyncProfile = process.env.KEEPWORK_PROFILE || this.profiles.defaultProfile;
+        let gitSyncSource = null;
+        try {
+            gitSyncSource = this.profiles.get(this.gitSyncProfile).watcher.targetDir;
+        } catch (error) {
+            console.warn(`⚠ Keepwork 同步的配置不存在: ${this.gitSyncProfile || '(未指定)'}，已禁用 git 同步`);
+            this.gitSyncProfile = null;
+        }
+        this.gitSync = new GitSync(gitSyncSource, {
+            repoDir: gitSyncSource && process.env.KEEPWORK_REPO_DIR ? path.resolve(process.env.KEEPWORK_REPO_DIR) : null,
+            subDir: process.env.KEEPWORK_REPO_SUBDIR || '',
+            branch: process.env.KEEPWORK_BRANCH || null,
+            push: process.env.KEEPWORK_PUSH === '1'
+        });
+        this.autoSync = process.env.KEEPWORK_AUTO_SYNC === '1';
+        this.autoSyncTimer = null;
+        
+        // 上传文件保存在内存中，由接口决定写入源目录还是直接转换
+        this.uploadLimits = {
+            fileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024,
+            files: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 10
+        };
+        this.upload = multer({
+            storage: multer.memoryStorage(),
+            limits: this.uploadLimits
+        }).array('files', this.uploadLimits.files);
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -27,13 +136,63 @@ class DocumentConverterServer {
         this.setupFileWatcher();
     }
 
+    // 请求中 profile 参数（query 或 body）指定的配置，未指定时使用默认配置
+    getProfile(req) {
+        return this.profiles.get(req.query.profile || (req.body && req.body.profile));
+    }
+
     setupMiddleware() {
         this.app.use(cors());
         this.app.use(express.json());
         this.app.use(express.static(path.join(__dirname, 'public')));
+        this.app.use('/api', (req, res, next) => this.authorize(req, res, next));
+    }
+
+    // 查询接口需要 read 权限，其余接口需要 admin 权限；所有修改操作写入审计日志
+    authorize(req, res, next) {
+        const readOnly = req.method === 'GET' || req.method === 'HEAD';
         
-        // 确保目标目录存在
-        fs.ensureDirSync(this.targetDir);
+        if (!readOnly) {
+            res.on('finish', () => {
+                this.auditLog.record({
+                    actor: req.user ? req.user.name : null,
+                    role: req.user ? req.user.role : null,
+                    ip: req.ip,
+                    action: `${req.method} ${req.baseUrl}${req.path}`,
+                    profile: req.query.profile || (req.body && req.body.profile) || undefined,
+                    target: req.body && (req.body.filePath || req.body.directory || req.body.name) || undefined,
+                    files: req.files ? req.files.map(file => Buffer.from(file.originalname, 'latin1').toString('utf8')) : undefined,
+                    status: res.statusCode
+                });
+            });
+        }
+        
+        try {
+            req.user = this.auth.authenticate(req, readOnly ? 'read' : 'admin');
+            next();
+        } catch (error) {
+            // 权限不足时仍在审计日志中记录是谁
+            req.user = this.auth.verify(TokenAuth.getRequestToken(req));
+            res.status(error.statusCode || 401).json({
+                error: error.message,
+                status: 'error'
+            });
+        }
+    }
+
+    verifyWebSocketClient({ req }, done) {
+        try {
+            req.user = this.auth.authenticate(req, 'read', { allowQuery: true });
+            done(true);
+        } catch (error) {
+            this.auditLog.record({
+                actor: null,
+                ip: req.socket.remoteAddress,
+                action: 'WS connect',
+                status: error.statusCode
+            });
+            done(false, error.statusCode, error.message);
+        }
     }
 
     setupRoutes() {
@@ -45,8 +204,9 @@ class DocumentConverterServer {
         // 获取文件列表
         this.app.get('/api/files', async (req, res) => {
             try {
-                const sourceFiles = await this.getFileList(this.sourceDir);
-                const markdownFiles = await this.getFileList(this.targetDir);
+                const { watcher } = this.getProfile(req);
+                const sourceFiles = await this.getFileList(watcher.sourceDir);
+                const markdownFiles = await this.getFileList(watcher.targetDir);
                 
                 res.json({
                     sourceFiles,
@@ -54,7 +214,7 @@ class DocumentConverterServer {
                     status: 'success'
                 });
             } catch (error) {
-                res.status(500).json({
+                res.status(error.statusCode || 500).json({
                     error: error.message,
                     status: 'error'
                 });
@@ -65,31 +225,250 @@ class DocumentConverterServer {
         this.app.post('/api/convert', async (req, res) => {
             try {
                 const { filePath, force = false } = req.body;
+                const { watcher } = this.getProfile(req);
                 
                 if (filePath) {
-                    // 转换单个文件
-                    const result = await this.fileWatcher.processFile(filePath, force);
+                    // 转换单个文件，文件必须位于允许的根目录和当前配置的源目录内
+                    const fullPath = await this.sandbox.resolve(filePath, watcher.sourceDir);
+                    if (!(await this.sandbox.isWithin(watcher.sourceDir, fullPath))) {
+                        return res.status(400).json({
+                            error: 'File must be inside the source directory',
+                            status: 'error'
+                        });
+                    }
+                    const result = await watcher.processFile(fullPath, force);
                     res.json({ result, status: 'success' });
                 } else {
                     // 转换所有文件
-                    const results = await this.fileWatcher.processAllFiles(force);
+                    const results = await watcher.processAllFiles(force);
                     res.json({ results, status: 'success' });
                 }
             } catch (error) {
-                res.status(500).json({
+                res.status(error.statusCode || 500).json({
                     error: error.message,
                     status: 'error'
                 });
             }
         });
 
+        // 上传文件：mode=source 时保存到源目录下的 folder 子目录，由文件监控自动转换；
+        // mode=convert 时在内存中转换并直接返回 Markdown，不写入磁盘
+        this.app.post('/api/upload', (req, res) => {
+            this.upload(req, res, async (uploadError) => {
+                if (uploadError) {
+                    const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+                    return res.status(tooLarge ? 413 : 400).json({
+                        error: tooLarge
+                            ? `文件超过大小限制 (${this.uploadLimits.fileSize} 字节)`
+                            : uploadError.message,
+                        status: 'error'
+                    });
+                }
+
+                try {
+                    const { mode = 'source', folder = '', overwrite } = req.body;
+                    const { converter, watcher } = this.getProfile(req);
+                    const files = req.files || [];
+
+                    if (files.length === 0) {
+                        return res.status(400).json({
+                            error: 'No files uploaded',
+                            status: 'error'
+                        });
+                    }
+                    if (mode !== 'source' && mode !== 'convert') {
+                        return res.status(400).json({
+                            error: 'mode must be "source" or "convert"',
+                            status: 'error'
+                        });
+                    }
+
+                    // 目标子目录必须位于源目录内（解析符号链接后）
+                    const targetFolder = path.resolve(watcher.sourceDir, folder);
+                    if (!(await this.sandbox.isWithin(watcher.sourceDir, targetFolder))) {
+                        return res.status(400).json({
+                            error: 'Folder must be inside the source directory',
+                            status: 'error'
+                        });
+                    }
+
+                    const results = [];
+                    for (const file of files) {
+                        // multer 按 latin1 解码文件名，还原为 UTF-8 以支持中文文件名
+                        const fileName = path.basename(Buffer.from(file.originalname, 'latin1').toString('utf8'));
+                        const typeError = checkUploadType(fileName, file.mimetype, converter);
+                        if (typeError) {
+                            results.push({ success: false, fileName, error: typeError });
+                            continue;
+                        }
+
+                        try {
+                            if (mode === 'convert') {
+                                results.push(await converter.convertBuffer(file.buffer, fileName));
+                            } else {
+                                const savedPath = path.join(targetFolder, fileName);
+                                if (await fs.pathExists(savedPath) && overwrite !== 'true') {
+                                    results.push({ success: false, fileName, error: '文件已存在' });
+                                    continue;
+                                }
+                                await fs.ensureDir(targetFolder);
+                                await fs.writeFile(savedPath, file.buffer);
+                                results.push({ success: true, fileName, savedPath, size: file.size });
+                            }
+                        } catch (error) {
+                            results.push({ success: false, fileName, error: error.message });
+                        }
+                    }
+
+                    res.json({ mode, results, status: 'success' });
+                } catch (error) {
+                    res.status(error.statusCode || 500).json({
+                        error: error.message,
+                        status: 'error'
+                    });
+                }
+            });
+        });
+
+        // 预演同步：返回将要转换、删除的文件，不做任何修改
+        this.app.get('/api/plan', async (req, res) => {
+            try {
+                const force = req.query.force === 'true' || req.query.force === '1';
+                const plan = await this.getProfile(req).watcher.plan(force);
+                res.json({ plan, status: 'success' });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 清理没有对应源文件的输出
+        this.app.post('/api/prune', async (req, res) => {
+            try {
+                const { dryRun = false, force = false } = req.body || {};
+                const result = await this.getProfile(req).watcher.prune({ dryRun, force: !!force });
+                res.json({ result, status: 'success' });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 取消转换任务（会终止正在运行的外部工具）
+        this.app.post('/api/queue/:jobId/cancel', (req, res) => {
+            const cancelled = this.profiles.list().some(({ name }) =>
+                this.profiles.get(name).watcher.queue.cancel(req.params.jobId)
+            );
+            if (!cancelled) {
+                return res.status(404).json({
+                    error: 'Job not found or already finished',
+                    status: 'error'
+                });
+            }
+            res.json({ jobId: req.params.jobId, status: 'success' });
+        });
+
         // 获取转换状态
         this.app.get('/api/status', (req, res) => {
+            try {
+                const { config, converter, watcher } = this.getProfile(req);
+                res.json({
+                    profile: config.name,
+                    watching: watcher.isWatching,
+                    sourceDir: watcher.sourceDir,
+                    targetDir: watcher.targetDir,
+                    supportedFormats: converter.getSupportedFormats(),
+                    queue: watcher.queue.getStatus(),
+                    profiles: this.profiles.list(),
+                    gitSync: this.gitSync.getStatus(),
+                    status: 'success'
+                });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 列出同步配置
+        this.app.get('/api/profiles', (req, res) => {
+            res.json({
+                profiles: this.profiles.list(),
+                defaultProfile: this.profiles.defaultProfile,
+                status: 'success'
+            });
+        });
+
+        // 添加同步配置，立即开始监控
+        this.app.post('/api/profiles', async (req, res) => {
+            try {
+                // 新配置的源目录、输出目录和转换清单（及其队列状态文件）同样受路径沙箱限制
+                for (const key of ['source', 'target', 'manifestPath']) {
+                    if (req.body && req.body[key]) {
+                        await this.sandbox.resolve(req.body[key], this.profiles.baseDir);
+                    }
+                }
+                const profile = await this.profiles.add(req.body);
+                res.status(201).json({ profile, status: 'success' });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 暂停 / 恢复同步配置
+        ['pause', 'resume'].forEach((action) => {
+            this.app.post(`/api/profiles/:name/${action}`, async (req, res) => {
+                try {
+                    const profile = await this.profiles[action](req.params.name);
+                    res.json({ profile, status: 'success' });
+                } catch (error) {
+                    res.status(error.statusCode || 500).json({
+                        error: error.message,
+                        status: 'error'
+                    });
+                }
+            });
+        });
+
+        // 删除同步配置（保留已生成的输出）
+        this.app.delete('/api/profiles/:name', async (req, res) => {
+            try {
+                const profile = await this.profiles.remove(req.params.name);
+                res.json({ profile, status: 'success' });
+            } catch (error) {
+                res.status(error.statusCode || 500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 同步到 Keepwork git 仓库
+        this.app.post('/api/sync', async (req, res) => {
+            try {
+                const { dryRun = false } = req.body || {};
+                const result = await this.gitSync.sync({ dryRun });
+                res.json({ result, status: 'success' });
+            } catch (error) {
+                res.status(500).json({
+                    error: error.message,
+                    status: 'error'
+                });
+            }
+        });
+
+        // 获取同步状态
+        this.app.get('/api/sync', (req, res) => {
             res.json({
-                watching: this.fileWatcher.isWatching,
-                sourceDir: this.sourceDir,
-                targetDir: this.targetDir,
-                supportedFormats: this.converter.getSupportedFormats(),
+                ...this.gitSync.getStatus(),
                 status: 'success'
             });
         });
@@ -105,7 +484,7 @@ class DocumentConverterServer {
                     });
                 }
 
-                const fullPath = path.resolve(directory);
+                const fullPath = await this.sandbox.resolve(directory);
                 const exists = await fs.pathExists(fullPath);
                 
                 if (!exists) {
@@ -115,16 +494,16 @@ class DocumentConverterServer {
                     });
                 }
 
-                this.sourceDir = fullPath;
-                this.fileWatcher.updateSourceDir(fullPath);
+                const profile = await this.profiles.setSourceDir(this.getProfile(req).config.name, fullPath);
                 
                 res.json({
                     message: 'Source directory updated',
-                    sourceDir: this.sourceDir,
+                    profile: profile.name,
+                    sourceDir: profile.sourceDir,
                     status: 'success'
                 });
             } catch (error) {
-                res.status(500).json({
+                res.status(error.statusCode || 500).json({
                     error: error.message,
                     status: 'error'
                 });
@@ -133,42 +512,108 @@ class DocumentConverterServer {
     }
 
     setupWebSocket() {
-        this.wss.on('connection', (ws) => {
-            console.log('客户端连接已建立');
+        this.wss.on('connection', (ws, req) => {
+            ws.user = req.user;
+            console.log(`客户端连接已建立: ${ws.user.name}`);
             
             // 发送初始状态
+            const profile = this.profiles.profiles.get(this.profiles.defaultProfile);
             ws.send(JSON.stringify({
                 type: 'status',
                 data: {
-                    watching: this.fileWatcher.isWatching,
-                    sourceDir: this.sourceDir,
-                    targetDir: this.targetDir
+                    profile: this.profiles.defaultProfile,
+                    watching: profile ? profile.watcher.isWatching : false,
+                    sourceDir: profile ? profile.watcher.sourceDir : null,
+                    targetDir: profile ? profile.watcher.targetDir : null,
+                    profiles: this.profiles.list()
                 }
             }));
 
+            ws.on('message', (raw) => this.handleClientMessage(ws, raw));
+
             ws.on('close', () => {
                 console.log('客户端连接已断开');
             });
         });
 
-        // 设置文件观察器事件监听
-        this.fileWatcher.on('fileProcessed', (data) => {
+        // 设置文件观察器事件监听（所有配置的事件，数据中带 profile 字段）
+        this.profiles.on('fileProcessed', (data) => {
             this.broadcast({
                 type: 'fileProcessed',
                 data
             });
         });
 
-        this.fileWatcher.on('error', (error) => {
+        this.profiles.on('jobUpdated', (job) => {
+            this.broadcast({
+                type: 'jobUpdated',
+                data: job
+            });
+        });
+
+        this.profiles.on('pruneCompleted', (data) => {
+            this.broadcast({
+                type: 'pruneCompleted',
+                data
+            });
+        });
+
+        this.profiles.on('profileError', (profile, error) => {
             this.broadcast({
                 type: 'error',
-                data: { message: error.message }
+                data: { profile, message: error.message }
             });
         });
+
+        ['syncStarted', 'syncCompleted', 'syncFailed'].forEach((type) => {
+            this.gitSync.on(type, (data) => this.broadcast({ type, data }));
+        });
+
+        // 自动同步：转换结果变化后延迟触发，合并短时间内的多次变更
+        this.profiles.on('fileProcessed', (data) => {
+            if (!this.autoSync || !this.gitSync.isConfigured() || data.profile !== this.gitSyncProfile) {
+                return;
+            }
+            clearTimeout(this.autoSyncTimer);
+            this.autoSyncTimer = setTimeout(() => {
+                this.gitSync.sync().catch(() => {
+                    // 错误已通过 syncFailed 事件广播
+                });
+            }, 5000);
+        });
+    }
+
+    // 处理客户端通过 WebSocket 发送的指令
+    handleClientMessage(ws, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            ws.send(JSON.stringify({ type: 'error', data: { message: '无效的消息格式' } }));
+            return;
+        }
+
+        if (message.type === 'sync') {
+            const allowed = TokenAuth.hasRole(ws.user, 'admin');
+            this.auditLog.record({
+                actor: ws.user.name,
+                role: ws.user.role,
+                action: 'WS sync',
+                dryRun: !!message.dryRun,
+                status: allowed ? 200 : 403
+            });
+            if (!allowed) {
+                ws.send(JSON.stringify({ type: 'error', data: { message: '需要 admin 权限' } }));
+                return;
+            }
+            this.gitSync.sync({ dryRun: !!message.dryRun }).catch(() => {
+                // 错误已通过 syncFailed 事件广播
+            });
+        }
     }
 
     setupFileWatcher() {
-        this.fileWatcher.start();
+        this.profiles.startAll();
     }
 
     broadcast(message) {
@@ -189,7 +634,8 @@ class DocumentConverterServer {
         const items = await fs.readdir(directory, { withFileTypes: true });
         
         for (const item of items) {
-            if (item.isFile()) {
+            // 隐藏文件（转换清单、队列状态等）不列出
+            if (item.isFile() && !item.name.startsWith('.')) {
                 const filePath = path.join(directory, item.name);
                 const stats = await fs.stat(filePath);
                 
@@ -209,14 +655,20 @@ class DocumentConverterServer {
     start() {
         this.server.listen(this.port, () => {
             console.log(`文档转换服务器运行在 http://localhost:${this.port}`);
-            console.log(`监控目录: ${this.sourceDir}`);
-            console.log(`输出目录: ${this.targetDir}`);
+            if (!this.auth.enabled) {
+                console.warn('⚠ 警告: 未配置 API_TOKENS 或 API_TOKENS_FILE，API 认证未启用，任何能访问此端口的人都拥有 admin 权限');
+            }
+            for (const profile of this.profiles.list()) {
+                console.log(`[${profile.name}] ${profile.sourceDir} -> ${profile.targetDir}${profile.paused ? ' (已暂停)' : ''}`);
+            }
         });
     }
 
-    stop() {
-        this.fileWatcher.stop();
+    // 等待运行中的转换结束、队列状态和转换清单保存完成后返回
+    async stop() {
+        clearTimeout(this.autoSyncTimer);
         this.server.close();
+        await this.profiles.stopAll();
     }
 }
 
@@ -227,8 +679,9 @@ server.start();
 // 优雅关闭
 process.on('SIGINT', () => {
     console.log('\n正在关闭服务器...');
-    server.stop();
-    process.exit(0);
+    server.stop()
+        .catch(error => console.error('关闭服务器失败:', error.message))
+        .finally(() => process.exit(0));
 });
 
 module.exports = DocumentConverterServer;
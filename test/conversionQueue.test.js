@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConversionQueue = require('../lib/conversionQueue');
+
+// 不响应 signal 的处理函数，模拟 mammoth 等进程内转换
+const ignoringHandler = delay => async () => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return { ok: true };
+};
+
+test('取消运行中的任务时，处理函数正常返回也记为 cancelled', async () => {
+    const queue = new ConversionQueue({ handler: ignoringHandler(50) });
+    const promise = queue.add('/src/a.docx');
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const job = queue.getJobs()[0];
+    assert.strictEqual(job.state, 'running');
+    assert.strictEqual(queue.cancel(job.id), true);
+
+    await assert.rejects(promise, /已取消/);
+    assert.strictEqual(job.state, 'cancelled');
+    assert.strictEqual(job.cancelled, undefined);
+});
+
+test('队列停止时运行中的任务重新排队', async () => {
+    const queue = new ConversionQueue({ handler: ignoringHandler(50) });
+    queue.add('/src/a.docx').catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    await queue.stop();
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    const job = queue.getJobs()[0];
+    assert.strictEqual(job.state, 'pending');
+    assert.strictEqual(job.attempts, 0);
+});
+
+test('停止时等待运行中的任务结束后保存队列状态', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-queue-'));
+    const statePath = path.join(root, 'queue.json');
+    const queue = new ConversionQueue({ statePath, handler: ignoringHandler(50) });
+    queue.add('/src/a.docx').catch(() => {});
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    await queue.stop();
+
+    // 返回时处理函数已结束，保存的状态中任务为待处理，之后不再写入
+    assert.strictEqual(queue.getJobs()[0].state, 'pending');
+    assert.strictEqual(queue.saveTimer, null);
+    const state = await fs.readJson(statePath);
+    assert.strictEqual(JSON.stringify(state).includes('"running"'), false);
+    await fs.remove(root);
+});
+
+test('超时和权限错误不重试', () => {
+    const timeout = Object.assign(new Error('soffice 执行超时 (180000ms)'), { code: 'ETIMEDOUT' });
+    const permission = Object.assign(new Error('EPERM: operation not permitted'), { code: 'EPERM' });
+    const busy = Object.assign(new Error('EBUSY: resource busy or locked'), { code: 'EBUSY' });
+
+    assert.strictEqual(ConversionQueue.isTransientError(timeout), false);
+    assert.strictEqual(ConversionQueue.isTransientError(permission), false);
+    assert.strictEqual(ConversionQueue.isTransientError(busy), true);
+});
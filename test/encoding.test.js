@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const encoding = require('../lib/encoding');
+
+test('常用字比例较高的中文编码胜出', () => {
+    const gbk = Buffer.from([0xD6, 0xD0, 0xCE, 0xC4, 0xB5, 0xC4, 0xCE, 0xC4, 0xB5, 0xB5]); // 中文的文档（GBK）
+
+    assert.deepStrictEqual(encoding.detect(gbk), { encoding: 'gbk', source: 'statistics' });
+});
+
+test('不是中文的非 UTF-8 文本按 windows-1252 处理', () => {
+    const latin1 = Buffer.from('Café crème, naïve façade, déjà vu', 'latin1');
+    const result = encoding.decode(latin1);
+
+    assert.strictEqual(result.encoding, 'windows-1252');
+    assert.strictEqual(result.source, 'fallback');
+    assert.strictEqual(result.text, 'Café crème, naïve façade, déjà vu');
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentConverter = require('../lib/documentConverter');
+
+test('去掉与章节标题相同的正文标题，标题中的转义字符不影响比较', async () => {
+    const converter = new DocumentConverter({ chunking: false });
+    await converter.ready;
+    const chapter = {
+        title: 'Intro [1] *draft*',
+        items: [{ path: 'OEBPS/intro.xhtml', html: '<html><body><h1>Intro [1] *draft*</h1><p>正文</p></body></html>' }]
+    };
+
+    const markdown = await converter.convertEpubChapter({}, chapter, [chapter], {}, () => '#intro');
+
+    assert.strictEqual(markdown, '正文');
+});
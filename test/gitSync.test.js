@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GitSync = require('../lib/gitSync');
+
+const AUTHOR = { authorName: 'docconv', authorEmail: 'docconv@example.com' };
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+});
+
+let root;
+let outputDir;
+let bareDir;
+let workDir;
+
+// 本地裸仓库作为远程，工作区克隆自该仓库，并带有一个与同步无关的已提交文件
+beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-gitsync-'));
+    outputDir = path.join(root, 'output');
+    bareDir = path.join(root, 'remote.git');
+    workDir = path.join(root, 'work');
+
+    await fs.ensureDir(outputDir);
+    git(root, 'init', '--bare', '-q', bareDir);
+    git(root, 'clone', '-q', bareDir, workDir);
+    await fs.writeFile(path.join(workDir, 'README.md'), 'keepwork\n');
+    git(workDir, 'add', 'README.md');
+    git(workDir, 'commit', '-q', '-m', 'init');
+    git(workDir, 'push', '-q', 'origin', 'HEAD');
+});
+
+afterEach(async () => {
+    await fs.remove(root);
+});
+
+test('预演只返回变更，不写入工作区', async () => {
+    await fs.writeFile(path.join(outputDir, 'a.md'), '# a\n');
+    const sync = new GitSync(outputDir, { repoDir: workDir, subDir: 'docs', ...AUTHOR });
+
+    const result = await sync.sync({ dryRun: true });
+
+    assert.deepStrictEqual(result.added, ['a.md']);
+    assert.strictEqual(result.commit, null);
+    assert.strictEqual(await fs.pathExists(path.join(workDir, 'docs', 'a.md')), false);
+});
+
+test('新增、修改、删除后提交并推送到裸仓库，跳过分块文件', async () => {
+    await fs.outputFile(path.join(outputDir, 'a.md'), '# a\n');
+    await fs.outputFile(path.join(outputDir, 'sub', 'b.md'), '# b\n');
+    await fs.outputFile(path.join(outputDir, 'a.chunks.jsonl'), '{}\n');
+    const sync = new GitSync(outputDir, { repoDir: workDir, subDir: 'docs', push: true, ...AUTHOR });
+
+    const first = await sync.sync();
+    assert.deepStrictEqual(first.added.sort(), ['a.md', 'sub/b.md']);
+    assert.ok(first.commit);
+    assert.strictEqual(first.pushed, true);
+    assert.strictEqual(git(bareDir, 'show', 'HEAD:docs/a.md'), '# a\n');
+    assert.strictEqual(git(bareDir, 'ls-tree', '-r', '--name-only', 'HEAD').includes('chunks'), false);
+
+    await fs.writeFile(path.join(outputDir, 'a.md'), '# a2\n');
+    await fs.remove(path.join(outputDir, 'sub'));
+    const second = await sync.sync();
+    assert.deepStrictEqual(second.modified, ['a.md']);
+    assert.deepStrictEqual(second.deleted, ['sub/b.md']);
+    assert.strictEqual(git(bareDir, 'show', 'HEAD:docs/a.md'), '# a2\n');
+    assert.deepStrictEqual(git(bareDir, 'ls-tree', '-r', '--name-only', 'HEAD').trim().split('\n'), ['README.md', 'docs/a.md']);
+
+    // 没有变更时不提交
+    const third = await sync.sync();
+    assert.strictEqual(third.commit, null);
+});
+
+test('不能同步到仓库根目录', async () => {
+    await fs.writeFile(path.join(outputDir, 'a.md'), '# a\n');
+    const sync = new GitSync(outputDir, { repoDir: workDir, ...AUTHOR });
+
+    await assert.rejects(sync.sync(), /subDir/);
+    await assert.rejects(new GitSync(outputDir, { repoDir: workDir, subDir: '.', ...AUTHOR }).sync(), /subDir/);
+    assert.strictEqual(await fs.pathExists(path.join(workDir, 'README.md')), true);
+    assert.strictEqual(await fs.pathExists(path.join(workDir, 'a.md')), false);
+});
+
+test('repoDir 为工作区子目录时只提交同步的文件', async () => {
+    const projectDir = path.join(workDir, 'project');
+    await fs.outputFile(path.join(projectDir, 'notes.txt'), 'notes\n');
+    git(workDir, 'add', 'project/notes.txt');
+    git(workDir, 'commit', '-q', '-m', 'project');
+    // 用户自己的改动：修改已跟踪文件，并暂存一个新文件
+    await fs.writeFile(path.join(projectDir, 'notes.txt'), 'edited\n');
+    await fs.writeFile(path.join(workDir, 'draft.md'), 'draft\n');
+    git(workDir, 'add', 'draft.md');
+
+    await fs.writeFile(path.join(outputDir, 'a.md'), '# a\n');
+    const sync = new GitSync(outputDir, { repoDir: projectDir, subDir: 'docs', ...AUTHOR });
+
+    const result = await sync.sync();
+
+    assert.ok(result.commit);
+    assert.deepStrictEqual(git(workDir, 'show', '--name-only', '--format=', 'HEAD').trim().split('\n'), ['project/docs/a.md']);
+    assert.strictEqual(await fs.readFile(path.join(projectDir, 'notes.txt'), 'utf8'), 'edited\n');
+    // 用户自己暂存的文件仍保持暂存状态
+    assert.strictEqual(git(workDir, 'diff', '--cached', '--name-only').trim(), 'draft.md');
+
+    // 没有变更时不提交
+    assert.strictEqual((await sync.sync()).commit, null);
+});
@@ -0,0 +1,50 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentConverter = require('../lib/documentConverter');
+const FileWatcher = require('../lib/fileWatcher');
+
+let root;
+let sourceDir;
+let targetDir;
+let watcher;
+
+beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-move-'));
+    sourceDir = path.join(root, 'src');
+    targetDir = path.join(root, 'out');
+    await fs.outputFile(path.join(sourceDir, 'new.txt'), 'moved');
+    await fs.outputFile(path.join(targetDir, 'old.md'), '# old');
+    // 等待外部工具检测结束，避免其日志在测试结束后输出
+    const converter = new DocumentConverter({ chunking: false });
+    await converter.ready;
+    watcher = new FileWatcher(sourceDir, targetDir, converter, {
+        manifestPath: path.join(root, 'state', 'manifest.json'),
+        moveDetectionDelay: 60000
+    });
+});
+
+afterEach(async () => {
+    watcher.pendingDeletes.forEach(timer => clearTimeout(timer));
+    // 等待队列状态写入完成，避免在删除临时目录后再写入
+    await watcher.queue.stop();
+    await fs.remove(root);
+});
+
+test('移动输出失败时保留旧记录和延迟删除', async () => {
+    const oldPath = path.join(sourceDir, 'old.txt');
+    const newPath = path.join(sourceDir, 'new.txt');
+    await watcher.manifestReady;
+    watcher.manifest.set(oldPath, { sourceHash: await watcher.getFileHash(newPath) });
+    await watcher.handleFileDelete(oldPath);
+    watcher.converter.moveOutput = async () => {
+        throw new Error('磁盘已满');
+    };
+
+    assert.strictEqual(await watcher.tryMove(newPath), false);
+    assert.ok(watcher.manifest.get(oldPath));
+    assert.strictEqual(watcher.manifest.get(newPath), undefined);
+    assert.ok(watcher.pendingDeletes.has(oldPath));
+});
@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentConverter = require('../lib/documentConverter');
+const FileWatcher = require('../lib/fileWatcher');
+
+let root;
+let sourceDir;
+let targetDir;
+let converter;
+
+const outputName = filePath => path.relative(targetDir, converter.generateOutputPath(path.join(sourceDir, filePath), sourceDir, targetDir));
+
+beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-output-'));
+    sourceDir = path.join(root, 'src');
+    targetDir = path.join(root, 'out');
+    converter = new DocumentConverter({ chunking: false });
+    // 等待外部工具检测结束，避免其日志在测试结束后输出
+    await converter.ready;
+    await fs.outputFile(path.join(sourceDir, 'util.c'), 'int add(int a, int b);\n');
+    await fs.outputFile(path.join(sourceDir, 'README.md'), '# 说明\n');
+});
+
+afterEach(async () => {
+    await fs.remove(root);
+});
+
+test('同名不同扩展名的源文件保留扩展名', async () => {
+    assert.strictEqual(outputName('util.c'), 'util.md');
+
+    await fs.outputFile(path.join(sourceDir, 'util.h'), 'int add(int a, int b);\n');
+    await fs.outputFile(path.join(sourceDir, 'README.txt'), '说明');
+    await fs.ensureDir(path.join(sourceDir, 'index.js'));
+
+    assert.strictEqual(outputName('util.c'), 'util.c.md');
+    assert.strictEqual(outputName('util.h'), 'util.h.md');
+    assert.strictEqual(outputName('README.md'), 'README.md.md');
+    assert.strictEqual(outputName('README.txt'), 'README.txt.md');
+    // 同名的目录不算重名
+    await fs.outputFile(path.join(sourceDir, 'index.md'), '# index\n');
+    assert.strictEqual(outputName('index.md'), 'index.md');
+});
+
+test('Markdown 链接与输出文件名一致', async () => {
+    await fs.outputFile(path.join(sourceDir, 'util.h'), '');
+    await fs.outputFile(path.join(sourceDir, 'notes.docx'), '');
+    const markdown = await converter.rewriteMarkdownLinks(
+        '[实现](util.c) [头文件](util.h#L1) [笔记](notes.docx) [说明](README.md)',
+        path.join(sourceDir, 'index.md'),
+        {}
+    );
+
+    assert.strictEqual(markdown, '[实现](util.c.md) [头文件](util.h.md#L1) [笔记](notes.md) [说明](README.md)');
+});
+
+test('不复制源目录之外的图片', async () => {
+    await fs.outputFile(path.join(root, 'secret.png'), 'secret');
+    await fs.outputFile(path.join(sourceDir, 'img', 'logo.png'), 'logo');
+    await fs.symlink(path.join(root, 'secret.png'), path.join(sourceDir, 'img', 'link.png'));
+    const meta = { sourceDir, assetsDir: 'index.assets' };
+    const markdown = await converter.rewriteMarkdownLinks(
+        '![a](../secret.png) ![b](img/link.png) ![c](img/logo.png)',
+        path.join(sourceDir, 'index.md'),
+        meta
+    );
+
+    assert.strictEqual(meta.assets.length, 1);
+    assert.strictEqual(meta.assets[0].buffer.toString(), 'logo');
+    assert.ok(markdown.startsWith('![a](../secret.png) ![b](img/link.png) ![c](index.assets/'));
+});
+
+test('新增同名源文件时删除旧名称的输出并重新转换', async () => {
+    const watcher = new FileWatcher(sourceDir, targetDir, converter, { manifestPath: path.join(root, 'state', 'manifest.json') });
+    const queued = [];
+    watcher.queue.add = async filePath => queued.push(filePath);
+    await fs.outputFile(path.join(targetDir, 'util.md'), '# util.c');
+
+    await fs.outputFile(path.join(sourceDir, 'util.h'), '');
+    await watcher.refreshNameCollisions(path.join(sourceDir, 'util.h'));
+
+    assert.strictEqual(await fs.pathExists(path.join(targetDir, 'util.md')), false);
+    assert.deepStrictEqual(queued, [path.join(sourceDir, 'util.c')]);
+
+    // 删除后 util.c 的输出改回 util.md
+    await fs.outputFile(path.join(targetDir, 'util.c.md'), '# util.c');
+    await fs.remove(path.join(sourceDir, 'util.h'));
+    await watcher.refreshNameCollisions(path.join(sourceDir, 'util.h'));
+
+    assert.strictEqual(await fs.pathExists(path.join(targetDir, 'util.c.md')), false);
+    assert.strictEqual(queued.length, 2);
+});
+
+test('被忽略的同名源文件不影响输出名称', async () => {
+    const watcher = new FileWatcher(sourceDir, targetDir, converter, {
+        manifestPath: path.join(root, 'state', 'manifest.json'),
+        ignore: ['**/*.h']
+    });
+    watcher.queue.add = async () => {};
+    await fs.outputFile(path.join(targetDir, 'util.md'), '# util.c');
+    await fs.outputFile(path.join(sourceDir, 'util.h'), '');
+
+    await watcher.handleFileChange(path.join(sourceDir, 'util.h'), 'added');
+    await watcher.refreshNameCollisions(path.join(sourceDir, 'util.c'));
+    assert.strictEqual(await fs.pathExists(path.join(targetDir, 'util.md')), true);
+    assert.strictEqual(outputName('util.c'), 'util.md');
+
+    const plan = await watcher.plan();
+    const outputs = [...plan.new, ...plan.changed, ...plan.unchanged].map(entry => path.relative(targetDir, entry.outputPath));
+    assert.deepStrictEqual(outputs.sort(), ['README.md', 'util.md']);
+});
@@ -0,0 +1,64 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentConverter = require('../lib/documentConverter');
+const FileWatcher = require('../lib/fileWatcher');
+
+let root;
+let converter;
+let sourceDir;
+let targetDir;
+
+const createWatcher = (source = sourceDir) => new FileWatcher(source, targetDir, converter, {
+    manifestPath: path.join(root, 'state', 'manifest.json')
+});
+
+// 等待外部工具检测结束，避免其日志在测试结束后输出
+before(async () => {
+    converter = new DocumentConverter({ chunking: false });
+    await converter.ready;
+});
+
+beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-prune-'));
+    sourceDir = path.join(root, 'src');
+    targetDir = path.join(root, 'out');
+    await fs.outputFile(path.join(sourceDir, 'keep.txt'), 'keep');
+    await fs.outputFile(path.join(targetDir, 'keep.md'), '# keep');
+    await fs.outputFile(path.join(targetDir, 'gone.md'), '# gone');
+});
+
+afterEach(async () => {
+    await fs.remove(root);
+});
+
+test('只删除没有对应源文件的输出', async () => {
+    const result = await createWatcher().prune();
+
+    assert.deepStrictEqual(result.deleted, ['gone.md']);
+    assert.strictEqual(await fs.pathExists(path.join(targetDir, 'keep.md')), true);
+});
+
+test('源目录不存在时中止，不删除任何输出', async () => {
+    const watcher = createWatcher(path.join(root, 'unmounted'));
+
+    await assert.rejects(watcher.prune(), error => error.statusCode === 409 && /源目录不存在或无法读取/.test(error.message));
+    await assert.rejects(watcher.prune({ force: true }), /源目录不存在或无法读取/);
+    assert.deepStrictEqual((await fs.readdir(targetDir)).sort(), ['gone.md', 'keep.md']);
+});
+
+test('将要删除全部输出时需要 force', async () => {
+    await fs.remove(path.join(sourceDir, 'keep.txt'));
+    const watcher = createWatcher();
+
+    const preview = await watcher.prune({ dryRun: true });
+    assert.deepStrictEqual(preview.deleted.sort(), ['gone.md', 'keep.md']);
+
+    await assert.rejects(watcher.prune(), /全部 2 个文件/);
+    assert.strictEqual((await fs.readdir(targetDir)).length, 2);
+
+    const result = await watcher.prune({ force: true });
+    assert.strictEqual(result.deleted.length, 2);
+});
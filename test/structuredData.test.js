@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const structuredData = require('../lib/structuredData');
+const DocumentConverter = require('../lib/documentConverter');
+
+test('YAML 支持锚点和别名，日期保持为字符串', () => {
+    const data = structuredData.parseYaml('base: &base\n  host: localhost\nprod:\n  <<: *base\n  port: 80\nreleased: 2024-01-01\n');
+
+    assert.deepStrictEqual(data, { base: { host: 'localhost' }, prod: { host: 'localhost', port: 80 }, released: '2024-01-01' });
+});
+
+test('YAML 多文档返回数组，不认识的标签抛出错误', () => {
+    assert.deepStrictEqual(structuredData.parseYaml('---\na: 1\n---\nb: 2\n'), [{ a: 1 }, { b: 2 }]);
+    assert.throws(() => structuredData.parseYaml('data: !!binary aGVsbG8='));
+});
+
+test('对象的简单值排在嵌套小节之前', async () => {
+    const converter = new DocumentConverter({ chunking: false });
+    await converter.ready;
+    const markdown = converter.formatStructuredValue({ name: 'app', server: { port: 80 }, version: 2 }, 2, 0);
+
+    assert.strictEqual(markdown, '- **name**: app\n- **version**: 2\n\n## server\n\n- **port**: 80\n\n');
+});
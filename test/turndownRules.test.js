@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TurndownService = require('turndown');
+const { addTableRule } = require('../lib/turndownRules');
+
+const createService = () => {
+    const turndownService = new TurndownService();
+    addTableRule(turndownService);
+    return turndownService;
+};
+
+test('嵌套表格的行不展开到外层表格', () => {
+    const markdown = createService().turndown(
+        '<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody>' +
+        '<tr><td>1</td><td><table><tr><td>x</td><td>y</td></tr><tr><td>z</td></tr></table></td></tr>' +
+        '<tr><td>2</td><td>3</td></tr></tbody></table>'
+    );
+    const lines = markdown.split('\n');
+
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(lines[0], '| A | B |');
+    assert.ok(lines[2].startsWith('| 1 | \\| x \\| y \\|'));
+    assert.strictEqual(lines[3], '| 2 | 3 |');
+});
+
+test('合并单元格填入覆盖的每个位置', () => {
+    const markdown = createService().turndown(
+        '<table><tr><th colspan="2">标题</th></tr><tr><td rowspan="2">a</td><td>b</td></tr><tr><td>c</td></tr></table>'
+    );
+
+    assert.strictEqual(markdown, '| 标题 | 标题 |\n| --- | --- |\n| a | b |\n| a | c |');
+});
+
+test('合并单元格的跨度超出上限时按上限展开', () => {
+    const markdown = createService().turndown(
+        '<table><tr><th colspan="100000000">标题</th></tr><tr><td rowspan="100000000">a</td></tr></table>'
+    );
+    const lines = markdown.split('\n');
+
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(lines[0].split(' | ').length, 1000);
+    assert.ok(lines[2].startsWith('| a |'));
+});
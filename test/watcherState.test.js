@@ -0,0 +1,73 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DocumentConverter = require('../lib/documentConverter');
+const FileWatcher = require('../lib/fileWatcher');
+
+let root;
+let converter;
+let sourceDir;
+let targetDir;
+
+// 等待外部工具检测结束，避免其日志在测试结束后输出
+before(async () => {
+    converter = new DocumentConverter({ chunking: false });
+    await converter.ready;
+});
+
+beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'docconv-state-'));
+    sourceDir = path.join(root, 'src');
+    targetDir = path.join(root, 'out');
+    await fs.ensureDir(sourceDir);
+});
+
+afterEach(async () => {
+    await fs.remove(root);
+});
+
+test('转换清单和队列状态默认保存在输出目录', async () => {
+    await fs.writeJson(path.join(sourceDir, '.docconv-manifest.json'), { files: { 'a.txt': { sourceHash: 'x' } } });
+    const watcher = new FileWatcher(sourceDir, targetDir, converter);
+    await watcher.manifestReady;
+
+    assert.strictEqual(watcher.manifest.manifestPath, path.join(targetDir, '.docconv-manifest.json'));
+    assert.strictEqual(watcher.queue.options.statePath, path.join(targetDir, '.docconv-manifest.queue.json'));
+    // 旧版保存在源目录下的清单被复制过来
+    assert.strictEqual(watcher.manifest.get(path.join(sourceDir, 'a.txt')).sourceHash, 'x');
+});
+
+test('切换源目录后不沿用旧目录的队列任务和清单记录', async () => {
+    const watcher = new FileWatcher(sourceDir, targetDir, converter);
+    await watcher.manifestReady;
+    watcher.manifest.set(path.join(sourceDir, 'a.txt'), { sourceHash: 'x' });
+    // 暂停的队列中留有旧目录的任务
+    watcher.queue.pause();
+    watcher.queue.add(path.join(sourceDir, 'a.txt')).catch(() => {});
+    await watcher.queue.ready;
+    const previousQueue = watcher.queue;
+    const otherSource = path.join(root, 'other');
+    await fs.ensureDir(otherSource);
+
+    await watcher.updateSourceDir(otherSource);
+    await watcher.stop();
+
+    assert.notStrictEqual(watcher.queue, previousQueue);
+    await watcher.queue.ready;
+    assert.deepStrictEqual(watcher.queue.getJobs(), []);
+    await watcher.manifestReady;
+    assert.strictEqual(watcher.manifest.sourceDir, otherSource);
+    assert.deepStrictEqual(watcher.manifest.list(), []);
+});
+
+test('同一目录下的多个转换清单各自保存队列状态', () => {
+    const stateDir = path.join(root, 'state');
+    const createWatcher = name => new FileWatcher(sourceDir, path.join(root, name), converter, {
+        manifestPath: path.join(stateDir, `${name}.json`)
+    });
+
+    assert.strictEqual(createWatcher('product').queue.options.statePath, path.join(stateDir, '.product.queue.json'));
+    assert.strictEqual(createWatcher('docs').queue.options.statePath, path.join(stateDir, '.docs.queue.json'));
+});